@@ -0,0 +1,158 @@
+// ===================== analysis_schema.js ===================== //
+// The canonical shape of one analyzed comment, and the normalizer every analyzer answer goes
+// through before it is stored. Loaded by the service worker (importScripts), the content script and
+// the dashboard pages via <script>, so it stays DOM-free.
+//
+// Canonical row: { id, sentiment, sentimentStrength, topic, ...anything else the analyzer sent }
+//   sentiment          "positive" | "neutral" | "negative"
+//   sentimentStrength  "strong" | "weak"
+//   topic              non-empty string
+//   sentimentScore     number in -1..1, or null when the analyzer gave none
+//   confidence         number in 0..1, or null when the analyzer gave none
+//
+// Accepted on the way in (counted as "fixed" in the report):
+//   sentiment  the three labels in any case; pos/neg/neu; mixed -> neutral; LABEL_0/1/2 (negative,
+//              neutral, positive); "1 star".."5 stars"; a number or numeric string in -1..1;
+//              a { label, score } object as returned by classifier pipelines
+//   strength   strong/weak in any case; high/low; a 0..1 number (>= 0.5 is strong);
+//              missing -> taken from a numeric sentiment when there was one, else weak
+//   topic      trimmed; missing or blank -> "General"
+//   score      sentimentScore or polarity in -1..1, else a numeric sentiment; missing is fine
+//   confidence confidence or probability in 0..1, else the score of a { label, score } sentiment;
+//              missing is fine
+// Dropped (counted per reason): rows that aren't objects, have no id, repeat an id, carry an id the
+// analyzer was never sent, or have a sentiment none of the above recognizes.
+
+const DEFAULT_TOPIC = "General";
+
+const SENTIMENT_ALIASES = {
+    positive: "positive", pos: "positive", "+": "positive", label_2: "positive", "4 stars": "positive", "5 stars": "positive",
+    neutral: "neutral", neu: "neutral", mixed: "neutral", none: "neutral", label_1: "neutral", "3 stars": "neutral",
+    negative: "negative", neg: "negative", "-": "negative", label_0: "negative", "1 star": "negative", "2 stars": "negative",
+};
+
+const STRENGTH_ALIASES = { strong: "strong", high: "strong", weak: "weak", low: "weak", mild: "weak" };
+
+const SCHEMA_NEUTRAL_BAND = 0.05; // |score| at or below this is neutral
+const SCHEMA_STRONG_SCORE = 0.5; // |score| or strength number at or above this is strong
+const SCHEMA_REPORT_SAMPLES = 5;
+
+// A number in -1..1 from a number or numeric string, else null
+function numericSentiment(value) {
+    if (typeof value === "string" && !value.trim()) return null;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= -1 && n <= 1 ? n : null;
+}
+
+// Canonical sentiment label for `value`, or null when it can't be mapped
+function normalizeSentiment(value) {
+    if (value && typeof value === "object") return normalizeSentiment(value.label);
+    const score = numericSentiment(value);
+    if (score !== null) return score > SCHEMA_NEUTRAL_BAND ? "positive" : score < -SCHEMA_NEUTRAL_BAND ? "negative" : "neutral";
+    if (typeof value !== "string") return null;
+    return SENTIMENT_ALIASES[value.trim().toLowerCase().replace(/\s+/g, " ")] || null;
+}
+
+// Canonical strength label; `sentimentValue` is the raw sentiment, used when it was a score
+function normalizeStrength(value, sentimentValue) {
+    if (typeof value === "string" && STRENGTH_ALIASES[value.trim().toLowerCase()]) {
+        return STRENGTH_ALIASES[value.trim().toLowerCase()];
+    }
+    if (typeof value === "number" && Number.isFinite(value)) return Math.abs(value) >= SCHEMA_STRONG_SCORE ? "strong" : "weak";
+    const score = numericSentiment(sentimentValue);
+    return score !== null && Math.abs(score) >= SCHEMA_STRONG_SCORE ? "strong" : "weak";
+}
+
+// First of `values` that is a number in min..max, or null. `outOfRange` is set when one was numeric but
+// outside the range, so the caller can report it.
+function pickBoundedNumber(values, min, max) {
+    let outOfRange = false;
+    for (const value of values) {
+        if (value == null || value === "" || typeof value === "object" || typeof value === "boolean") continue;
+        const n = Number(value);
+        if (!Number.isFinite(n)) continue;
+        if (n >= min && n <= max) return { value: n, outOfRange };
+        outOfRange = true;
+    }
+    return { value: null, outOfRange };
+}
+
+function emptySchemaReport() {
+    return { total: 0, kept: 0, dropped: 0, fixed: 0, unanswered: 0, reasons: {}, samples: [] };
+}
+
+function noteSchemaIssue(report, reason, index, detail = "") {
+    report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+    if (report.samples.length < SCHEMA_REPORT_SAMPLES) report.samples.push(`row ${index}: ${reason}${detail}`.slice(0, 120));
+}
+
+// Normalize an analyzer's `comments` array. With `sentIds` (the ids the analyzer was given), rows
+// for other ids are dropped and sent comments that got no row are counted as unanswered.
+// Returns { comments, report } where report is
+//   { total, kept, dropped, fixed, unanswered, reasons: { <reason>: count }, samples: [string] }
+function normalizeAnalysisRows(rows, { sentIds = null } = {}) {
+    const report = emptySchemaReport();
+    const seen = new Set();
+    const comments = [];
+
+    (Array.isArray(rows) ? rows : []).forEach((row, index) => {
+        report.total++;
+        const drop = (reason, detail) => {
+            report.dropped++;
+            noteSchemaIssue(report, reason, index, detail);
+        };
+
+        if (!row || typeof row !== "object") return drop("not an object");
+        const id = row.id == null || row.id === "" ? null : String(row.id);
+        if (id === null) return drop("missing id");
+        if (sentIds && !sentIds.has(id)) return drop("unknown id");
+        if (seen.has(id)) return drop("duplicate id");
+        const sentiment = normalizeSentiment(row.sentiment);
+        if (!sentiment) return drop("unrecognized sentiment", ` ${JSON.stringify(row.sentiment)}`);
+        seen.add(id);
+
+        const sentimentStrength = normalizeStrength(row.sentimentStrength, row.sentiment);
+        const topic = typeof row.topic === "string" && row.topic.trim() ? row.topic.trim() : DEFAULT_TOPIC;
+        const score = pickBoundedNumber([row.sentimentScore, row.polarity, row.sentiment], -1, 1);
+        const confidence = pickBoundedNumber([row.confidence, row.probability, row.sentiment?.score], 0, 1);
+
+        const fixes = [];
+        if (row.sentiment !== sentiment) fixes.push("sentiment mapped");
+        if (row.sentimentStrength !== sentimentStrength) fixes.push(row.sentimentStrength == null ? "strength missing" : "strength mapped");
+        if (row.topic !== topic) fixes.push(row.topic == null || row.topic === "" ? "topic missing" : "topic mapped");
+        if (row.id !== id) fixes.push("id not a string");
+        if (score.outOfRange && score.value === null) fixes.push("score out of range");
+        if (confidence.outOfRange && confidence.value === null) fixes.push("confidence out of range");
+        if (fixes.length) {
+            report.fixed++;
+            fixes.forEach((reason) => noteSchemaIssue(report, reason, index));
+        }
+
+        comments.push({
+            ...row,
+            id,
+            sentiment,
+            sentimentStrength,
+            topic,
+            sentimentScore: score.value,
+            confidence: confidence.value,
+        });
+    });
+
+    report.kept = comments.length;
+    if (sentIds) report.unanswered = Math.max(0, sentIds.size - comments.length);
+    return { comments, report };
+}
+
+// Add `report` into `into` (both from normalizeAnalysisRows); returns `into`
+function mergeSchemaReports(into, report) {
+    if (!report) return into;
+    for (const key of ["total", "kept", "dropped", "fixed", "unanswered"]) into[key] += report[key] || 0;
+    for (const [reason, count] of Object.entries(report.reasons || {})) into.reasons[reason] = (into.reasons[reason] || 0) + count;
+    into.samples = [...into.samples, ...(report.samples || [])].slice(0, SCHEMA_REPORT_SAMPLES);
+    return into;
+}
+
+function schemaReportHasIssues(report) {
+    return !!report && (report.dropped > 0 || report.fixed > 0 || report.unanswered > 0);
+}
@@ -7,6 +7,8 @@
 console.clear();
 console.log("🚀 [Background Script] Loaded successfully at", new Date().toISOString());
 
+importScripts("settings.js", "history_store.js", "youtube_url.js", "local_sentiment.js", "analysis_schema.js");
+
 // -------------------- Helper Logging Functions --------------------
 function logInfo(label, ...args) {
     console.log(`🟢 [${new Date().toISOString()}] [INFO] ${label}`, ...args);
@@ -32,53 +34,328 @@ function logError(label, error, context = {}) {
 }
 
 // -------------------- On Installation --------------------
-chrome.runtime.onInstalled.addListener(() => {
-    chrome.storage.local.set(
-        {
-            // ✅ IMPORTANT: Replace this with your valid YouTube Data API v3 key (must start with "AIza")
-            
-            ytApiKey: "here add your real actual api key",
-        },
-        () => logInfo("✅ YouTube API key saved to storage.")
+chrome.runtime.onInstalled.addListener(async (details) => {
+    // Older builds kept a single key under `ytApiKey`; fold it into the key list once.
+    await migrateLegacyApiKey();
+    await migrateLocalAnalysisMode();
+    // ...and a single `analysisResults` slot with no videoId, which history can't adopt
+    await new Promise((resolve) => chrome.storage.local.remove(["analysisResults", "lastFetchedAt"], resolve));
+
+    const { ytApiKeys = [] } = await new Promise((resolve) =>
+        chrome.storage.local.get("ytApiKeys", resolve)
     );
+    if (!ytApiKeys.length && details?.reason === "install") {
+        logInfo("No YouTube API keys configured yet. Opening options page...");
+        chrome.runtime.openOptionsPage();
+    }
+
+    createActionMenus();
 });
 
-// -------------------- Helper Functions --------------------
+// -------------------- API Key Store --------------------
+// Keys live in `ytApiKeys` as { key, status, addedAt, lastCheckedAt, lastError, disabledUntil }.
+// `activeApiKey` remembers which one getApiKeyFromStorage() last handed out.
+const KEY_STATUS = {
+    UNKNOWN: "unknown",
+    VALID: "valid",
+    QUOTA_EXCEEDED: "quotaExceeded",
+    INVALID: "invalid",
+};
+
+// YouTube error reasons that mean "this key is unusable right now, try another one"
+const QUOTA_REASONS = new Set(["quotaExceeded", "dailyLimitExceeded", "rateLimitExceeded", "userRateLimitExceeded"]);
+// Only reasons about the key itself. badRequest / forbidden are about the request (comments disabled,
+// private video, bad parameter) and must not mark keys invalid one after another.
+const INVALID_KEY_REASONS = new Set(["keyInvalid", "keyExpired", "accessNotConfigured", "ipRefererBlocked"]);
+
+// A bad key comes back as reason "badRequest"; only the error details say it's the key
+const KEY_DETAIL_REASONS = {
+    API_KEY_INVALID: "keyInvalid",
+    API_KEY_EXPIRED: "keyExpired",
+    API_KEY_HTTP_REFERRER_BLOCKED: "ipRefererBlocked",
+    API_KEY_IP_ADDRESS_BLOCKED: "ipRefererBlocked",
+    API_KEY_SERVICE_BLOCKED: "accessNotConfigured",
+};
+
+function maskApiKey(key) {
+    if (!key || key.length < 12) return "••••";
+    return `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+// `request` with any API keys it carries masked, for logging
+function redactApiKeys(request) {
+    if (!request || (!("key" in request) && !("keys" in request))) return request;
+    const redacted = { ...request };
+    if ("key" in redacted) redacted.key = maskApiKey(redacted.key);
+    if (Array.isArray(redacted.keys)) redacted.keys = redacted.keys.map((k) => maskApiKey(String(k).trim()));
+    return redacted;
+}
+
+// Daily quota resets at midnight Pacific time
+function nextQuotaResetAt(now = Date.now()) {
+    const pacific = new Date(new Date(now).toLocaleString("en-US", { timeZone: "America/Los_Angeles" }));
+    const midnight = new Date(pacific);
+    midnight.setHours(24, 0, 0, 0);
+    return now + (midnight.getTime() - pacific.getTime());
+}
+
+function isKeyHealthy(entry, now = Date.now()) {
+    if (!entry?.key || entry.status === KEY_STATUS.INVALID) return false;
+    if (entry.status === KEY_STATUS.QUOTA_EXCEEDED && entry.disabledUntil > now) return false;
+    return true;
+}
+
+async function readApiKeyStore() {
+    const items = await new Promise((resolve) =>
+        chrome.storage.local.get(["ytApiKeys", "activeApiKey"], resolve)
+    );
+    return { keys: items.ytApiKeys || [], activeKey: items.activeApiKey || null };
+}
+
+async function migrateLegacyApiKey() {
+    const items = await new Promise((resolve) => chrome.storage.local.get(["ytApiKey", "ytApiKeys"], resolve));
+    const legacy = items.ytApiKey;
+    if (legacy === undefined) return;
+
+    const keys = items.ytApiKeys || [];
+    if (/^AIza[\w-]{35}$/.test(legacy) && !keys.some((k) => k.key === legacy)) {
+        keys.push({ key: legacy, status: KEY_STATUS.UNKNOWN, addedAt: Date.now() });
+        logInfo("Migrated legacy ytApiKey into ytApiKeys:", maskApiKey(legacy));
+    }
+    await setLocalStorage({ ytApiKeys: keys });
+    await new Promise((resolve) => chrome.storage.local.remove("ytApiKey", resolve));
+}
 
-// Get API key from storage
+// Get API key from storage — the single place that decides which key is used
 async function getApiKeyFromStorage() {
     logInfo("Fetching API key from chrome.storage.local...");
     try {
-        const apiKey = await new Promise((resolve) => {
-            chrome.storage.local.get("ytApiKey", (items) => resolve(items.ytApiKey || null));
-        });
-        if (apiKey) logInfo("API key successfully retrieved.");
-        else logWarn("No API key found in storage!");
-        return apiKey;
+        const { keys, activeKey } = await readApiKeyStore();
+        const now = Date.now();
+
+        const current = keys.find((k) => k.key === activeKey);
+        const chosen = isKeyHealthy(current, now) ? current : keys.find((k) => isKeyHealthy(k, now));
+
+        if (!chosen) {
+            logWarn("No healthy API key found in storage!", { configured: keys.length });
+            return null;
+        }
+
+        if (chosen.key !== activeKey) {
+            await setLocalStorage({ activeApiKey: chosen.key });
+            logInfo("Active API key switched to:", maskApiKey(chosen.key));
+        }
+        logInfo("API key successfully retrieved:", maskApiKey(chosen.key));
+        return chosen.key;
     } catch (err) {
         logError("Failed to get API key from storage", err);
         return null;
     }
 }
 
+// Record a failure against `key` and return the next healthy key (or null)
+async function rotateApiKey(key, reason, message = "") {
+    const { keys } = await readApiKeyStore();
+    const entry = keys.find((k) => k.key === key);
+    if (entry) {
+        entry.lastError = message || reason;
+        entry.lastCheckedAt = Date.now();
+        if (QUOTA_REASONS.has(reason)) {
+            entry.status = KEY_STATUS.QUOTA_EXCEEDED;
+            entry.disabledUntil = nextQuotaResetAt();
+        } else {
+            entry.status = KEY_STATUS.INVALID;
+        }
+        await setLocalStorage({ ytApiKeys: keys });
+    }
+
+    logWarn(`🔁 Rotating away from API key ${maskApiKey(key)}`, { reason });
+    return getApiKeyFromStorage();
+}
+
+// Cheap probe (1 quota unit) used by the options page before a key is saved. Only an answer about
+// the key itself makes it invalid; when the probe couldn't tell (offline, 5xx, ...) it's "unknown",
+// which stays usable, so an outage never retires a good key.
+async function validateApiKey(key) {
+    const url = new URL("https://www.googleapis.com/youtube/v3/i18nLanguages");
+    url.searchParams.set("part", "snippet");
+    url.searchParams.set("hl", "en");
+    url.searchParams.set("key", key);
+
+    try {
+        await fetchWithRetry(url.toString(), 1);
+        return { status: KEY_STATUS.VALID };
+    } catch (err) {
+        if (QUOTA_REASONS.has(err.reason)) {
+            // The key itself is fine, it is just exhausted for today
+            return { status: KEY_STATUS.QUOTA_EXCEEDED, error: err.message, disabledUntil: nextQuotaResetAt() };
+        }
+        if (INVALID_KEY_REASONS.has(err.reason)) return { status: KEY_STATUS.INVALID, error: err.message };
+        return { status: KEY_STATUS.UNKNOWN, error: err.message };
+    }
+}
+
+async function addApiKeys(rawKeys) {
+    const { keys } = await readApiKeyStore();
+    const results = [];
+
+    for (const key of [...new Set(rawKeys.map((k) => k.trim()).filter(Boolean))]) {
+        if (keys.some((k) => k.key === key)) {
+            results.push({ key: maskApiKey(key), status: "duplicate" });
+            continue;
+        }
+
+        const check = await validateApiKey(key);
+        results.push({ key: maskApiKey(key), status: check.status, error: check.error });
+        if (check.status === KEY_STATUS.INVALID) continue;
+
+        keys.push({
+            key,
+            status: check.status,
+            addedAt: Date.now(),
+            lastCheckedAt: Date.now(),
+            lastError: check.error || null,
+            disabledUntil: check.disabledUntil || null,
+        });
+    }
+
+    await setLocalStorage({ ytApiKeys: keys });
+    await getApiKeyFromStorage();
+    return results;
+}
+
+async function recheckApiKey(key) {
+    const { keys } = await readApiKeyStore();
+    const entry = keys.find((k) => k.key === key);
+    if (!entry) return null;
+
+    const check = await validateApiKey(key);
+    Object.assign(entry, {
+        status: check.status,
+        lastCheckedAt: Date.now(),
+        lastError: check.error || null,
+        disabledUntil: check.disabledUntil || null,
+    });
+    await setLocalStorage({ ytApiKeys: keys });
+    await getApiKeyFromStorage();
+    return check;
+}
+
+async function removeApiKey(key) {
+    const { keys, activeKey } = await readApiKeyStore();
+    await setLocalStorage({ ytApiKeys: keys.filter((k) => k.key !== key) });
+    if (activeKey === key) {
+        await new Promise((resolve) => chrome.storage.local.remove("activeApiKey", resolve));
+    }
+    await getApiKeyFromStorage();
+}
+
+async function setActiveApiKey(key) {
+    const { keys } = await readApiKeyStore();
+    const entry = keys.find((k) => k.key === key);
+    if (!isKeyHealthy(entry)) throw new Error("That key is not currently usable.");
+    await setLocalStorage({ activeApiKey: key });
+}
+
+// Shape sent to the options page
+async function getApiKeyStatus() {
+    const activeKey = await getApiKeyFromStorage();
+    const { keys } = await readApiKeyStore();
+    return keys.map((k) => ({
+        id: k.key,
+        masked: maskApiKey(k.key),
+        status: k.status,
+        active: k.key === activeKey,
+        healthy: isKeyHealthy(k),
+        addedAt: k.addedAt,
+        lastCheckedAt: k.lastCheckedAt || null,
+        lastError: k.lastError || null,
+        disabledUntil: k.disabledUntil || null,
+    }));
+}
+
+// -------------------- Helper Functions --------------------
+
+// Send a message to open extension pages; no listener (popup closed) is not an error
+function broadcastMessage(message) {
+    chrome.runtime.sendMessage(message, () => void chrome.runtime.lastError);
+}
+
 // Store data in local storage
+// Only the storage keys are logged: values include API keys and whole analyses
 async function setLocalStorage(obj) {
-    logInfo("Saving data to local storage...", obj);
+    logInfo("Saving data to local storage...", Object.keys(obj));
     try {
         await new Promise((resolve) => chrome.storage.local.set(obj, () => resolve()));
         logInfo("✅ Data successfully saved to local storage.");
     } catch (err) {
-        logError("Failed to set local storage", err, { data: obj });
+        logError("Failed to set local storage", err, { keys: Object.keys(obj) });
     }
 }
 
+// -------------------- Full Dashboard --------------------
+// dashboard.html?videoId=... renders every chart in a tab; the popup only has the summary.
+const DASHBOARD_MENU_ID = "openDashboard";
+
+function openDashboard(videoId = null) {
+    const page = videoId ? `dashboard.html?videoId=${encodeURIComponent(videoId)}` : "dashboard.html";
+    chrome.tabs.create({ url: chrome.runtime.getURL(page) });
+}
+
+const SIDE_PANEL_MENU_ID = "openSidePanel";
+
+// Context menus survive service worker restarts, so they are (re)created only on install/update
+function createActionMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: DASHBOARD_MENU_ID, title: "Open full dashboard", contexts: ["action"] });
+        chrome.contextMenus.create({ id: SIDE_PANEL_MENU_ID, title: "Open in side panel", contexts: ["action"] });
+    });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === SIDE_PANEL_MENU_ID) {
+        // Must run inside the click handler; sidePanel.open needs the user gesture
+        chrome.sidePanel.open({ windowId: tab.windowId }).catch((err) => logError("Failed to open side panel", err));
+        return;
+    }
+    if (info.menuItemId !== DASHBOARD_MENU_ID) return;
+    // Show the video in the tab the menu was opened on, or the latest analysis otherwise
+    const videoId = parseYouTubeVideoId(tab?.url);
+    logInfo("📊 Opening full dashboard from the action menu:", videoId || "latest analysis");
+    openDashboard(videoId);
+});
+
+// -------------------- Active Video Tracking --------------------
+// The side panel follows the video shown in its window's active tab. Tab switches and URL changes come
+// from the tabs API; content.js adds `videoIdDetected` for YouTube's in-page (SPA) navigation.
+function broadcastActiveVideo(tab, videoId = parseYouTubeVideoId(tab?.url)) {
+    if (!tab?.active) return;
+    broadcastMessage({ action: "activeVideoChanged", videoId, tabId: tab.id, windowId: tab.windowId });
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+    chrome.tabs.get(tabId, (tab) => {
+        if (chrome.runtime.lastError) return;
+        broadcastActiveVideo(tab);
+    });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url) broadcastActiveVideo(tab);
+});
+
 // -------------------- Enhanced Fetch with Retry Logic --------------------
+// Errors carry `status` and, for YouTube API errors, the first `reason` (e.g. quotaExceeded, keyInvalid)
 async function fetchWithRetry(url, retries = 3, delay = 1000) {
-    logInfo(`Starting fetchWithRetry for URL: ${url}, Retries: ${retries}`);
+    logInfo(`Starting fetchWithRetry for URL: ${url.replace(/key=[^&]+/, "key=***")}, Retries: ${retries}`);
+    let lastError = null;
 
     for (let i = 0; i < retries; i++) {
         try {
-            const resp = await fetch(url);
+            const resp = await fetch(url).catch((err) => {
+                err.network = true; // see classifyError
+                throw err;
+            });
             const text = await resp.text(); // Always capture the raw response text
 
             if (!resp.ok) {
@@ -92,135 +369,302 @@ async function fetchWithRetry(url, retries = 3, delay = 1000) {
                 // Decode YouTube error if present
                 let apiError = null;
                 try {
-                    apiError = JSON.parse(text);
-                    if (apiError?.error?.message) {
-                        throw new Error(`YouTube API error: ${apiError.error.message}`);
-                    }
-                } catch (jsonErr) {
-                    throw new Error(`HTTP ${resp.status}: ${snippet}`);
+                    apiError = JSON.parse(text)?.error;
+                } catch {
+                    apiError = null;
                 }
+
+                const err = new Error(
+                    apiError?.message ? `YouTube API error: ${apiError.message}` : `HTTP ${resp.status}: ${snippet}`
+                );
+                err.status = resp.status;
+                const keyDetail = (apiError?.details || []).map((d) => d?.reason).find((r) => KEY_DETAIL_REASONS[r]);
+                err.reason = KEY_DETAIL_REASONS[keyDetail] || apiError?.errors?.[0]?.reason || apiError?.details?.[0]?.reason || null;
+                throw err;
             }
 
             const json = JSON.parse(text);
             logInfo(`✅ Fetch successful on attempt ${i + 1}`);
             return json;
         } catch (err) {
-            logWarn(`❌ Attempt ${i + 1} failed`, { message: err.message, stack: err.stack });
+            lastError = err;
+            logWarn(`❌ Attempt ${i + 1} failed`, { message: err.message, reason: err.reason, stack: err.stack });
+
+            // Retrying won't fix a bad or exhausted key — let the caller rotate instead
+            if (QUOTA_REASONS.has(err.reason) || INVALID_KEY_REASONS.has(err.reason)) break;
+            // ...nor a request the API rejected (bad parameter, private video, comments disabled)
+            if (err.status >= 400 && err.status < 500 && err.status !== 429) break;
 
             if (i < retries - 1) {
                 logInfo(`⏳ Retrying after ${delay}ms...`);
                 await new Promise((r) => setTimeout(r, delay));
-            } else {
-                logError("❌ FetchWithRetry failed all attempts", err, { url });
             }
         }
     }
 
-    throw new Error(`Failed fetching URL after ${retries} attempts`);
+    logError("❌ FetchWithRetry failed", lastError, { url: url.replace(/key=[^&]+/, "key=***") });
+    throw lastError || new Error(`Failed fetching URL after ${retries} attempts`);
+}
+
+// -------------------- Error Model --------------------
+// Every failure that reaches the popup is reduced to one of these types; the popup owns the
+// human wording and the retry action for each.
+const ERROR_TYPE = {
+    QUOTA_EXCEEDED: "quotaExceeded",
+    COMMENTS_DISABLED: "commentsDisabled",
+    INVALID_KEY: "invalidKey",
+    BACKEND_DOWN: "backendDown",
+    OFFLINE: "offline",
+    UNKNOWN: "unknown",
+};
+
+// `err.source` is "backend" for failed requests to the analyzer (see analyzerError); anything else
+// came from the YouTube Data API side or the extension itself. `err.network` is set where fetch()
+// itself rejected; any other TypeError is a bug and must not show up as "offline".
+function classifyError(err) {
+    const message = err?.message || String(err);
+    const isNetworkError = err?.network === true || /^(Failed to fetch|NetworkError)/i.test(message);
+    let type = ERROR_TYPE.UNKNOWN;
+
+    if (self.navigator?.onLine === false) type = ERROR_TYPE.OFFLINE;
+    else if (err?.source === "backend") type = ERROR_TYPE.BACKEND_DOWN;
+    else if (err?.reason === "commentsDisabled") type = ERROR_TYPE.COMMENTS_DISABLED;
+    else if (QUOTA_REASONS.has(err?.reason) || QUOTA_REASONS.has(err?.lastKeyReason)) type = ERROR_TYPE.QUOTA_EXCEEDED;
+    else if (err?.reason === "noApiKey" || INVALID_KEY_REASONS.has(err?.reason)) type = ERROR_TYPE.INVALID_KEY;
+    else if (isNetworkError) type = ERROR_TYPE.OFFLINE;
+
+    return { type, message, reason: err?.reason || null, status: err?.status || null };
+}
+
+// -------------------- YouTube Data API Calls (with key rotation) --------------------
+async function fetchYouTubeApi(endpoint, params) {
+    let apiKey = await getApiKeyFromStorage();
+    let lastKeyReason = null;
+
+    while (apiKey) {
+        const url = new URL(`https://www.googleapis.com/youtube/v3/${endpoint}`);
+        for (const [name, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null && value !== "") url.searchParams.set(name, value);
+        }
+        url.searchParams.set("key", apiKey);
+
+        try {
+            return await fetchWithRetry(url.toString());
+        } catch (err) {
+            if (!QUOTA_REASONS.has(err.reason) && !INVALID_KEY_REASONS.has(err.reason)) throw err;
+            lastKeyReason = err.reason;
+            apiKey = await rotateApiKey(apiKey, err.reason, err.message);
+        }
+    }
+
+    const err = new Error(
+        QUOTA_REASONS.has(lastKeyReason)
+            ? "Every configured YouTube API key is out of quota for today."
+            : "No usable YouTube API key. Add or re-check keys on the options page."
+    );
+    err.reason = "noApiKey";
+    err.lastKeyReason = lastKeyReason;
+    throw err;
+}
+
+// -------------------- Video Metadata --------------------
+// ISO 8601 duration ("PT1H2M10S") to seconds; live streams report "P0D"
+function parseIsoDuration(iso) {
+    const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(iso || "");
+    if (!m) return null;
+    const [, d = 0, h = 0, min = 0, sec = 0] = m.map((v) => Number(v) || 0);
+    return d * 86400 + h * 3600 + min * 60 + sec || null;
+}
+
+async function fetchVideoMetadata(videoId) {
+    try {
+        const data = await fetchYouTubeApi("videos", { part: "snippet,statistics,contentDetails", id: videoId });
+        const video = data.items?.[0];
+        if (!video) {
+            logWarn("Video not found in videos endpoint:", videoId);
+            return { videoId };
+        }
+        return {
+            videoId,
+            title: video.snippet?.title || "",
+            channel: video.snippet?.channelTitle || "",
+            channelId: video.snippet?.channelId || "",
+            publishedAt: video.snippet?.publishedAt || null,
+            durationSeconds: parseIsoDuration(video.contentDetails?.duration),
+            commentCount: Number(video.statistics?.commentCount ?? NaN) || null,
+        };
+    } catch (err) {
+        // Metadata is decorative; never block the analysis on it
+        logError("Failed to fetch video metadata", err, { videoId });
+        return { videoId };
+    }
+}
+
+// -------------------- Auto-Analysis --------------------
+// Decides whether a page visit (content script, `auto: true`) may start an analysis. The channel and
+// comment-count modes cost one videos.list call; the metadata is handed to the job so it isn't re-fetched.
+async function checkAutoAnalyze(videoId, settings) {
+    const mode = settings.autoAnalyzeMode;
+    if (mode === AUTO_ANALYZE_MODES.ALWAYS) return { allowed: true, video: null };
+    if (mode !== AUTO_ANALYZE_MODES.CHANNELS && mode !== AUTO_ANALYZE_MODES.MIN_COMMENTS) {
+        return { allowed: false, reason: "Auto-analysis is off; use the Analyze button." };
+    }
+
+    const video = await fetchVideoMetadata(videoId);
+    if (mode === AUTO_ANALYZE_MODES.CHANNELS) {
+        const wanted = new Set((settings.autoAnalyzeChannels || []).map((c) => c.trim().toLowerCase()));
+        const allowed = [video.channelId, video.channel].some((c) => c && wanted.has(c.toLowerCase()));
+        return allowed
+            ? { allowed, video }
+            : { allowed, reason: `Channel "${video.channel || "unknown"}" is not on the auto-analysis list.` };
+    }
+
+    const minComments = Number(settings.autoAnalyzeMinComments) || 0;
+    const allowed = (video.commentCount || 0) >= minComments;
+    return allowed
+        ? { allowed, video }
+        : { allowed, reason: `Video has ${video.commentCount ?? "an unknown number of"} comments (auto-analysis needs ${minComments}).` };
+}
+
+// -------------------- Comment Objects --------------------
+// Author/engagement fields copied from the YouTube snippet. They are re-attached after /analyze
+// so a backend that echoes back only what it needs doesn't strip them.
+const COMMENT_METADATA_FIELDS = [
+    "authorDisplayName",
+    "authorChannelId",
+    "likeCount",
+    "publishedAt",
+    "updatedAt",
+    "parentId",
+    "viewerRating",
+    "totalReplyCount",
+];
+
+function buildComment(id, snippet, { parentId = null, totalReplyCount = 0 } = {}) {
+    const text = snippet.textDisplay || "";
+    return {
+        id,
+        text,
+        timestamp: new Date(snippet.publishedAt).getTime() / 1000,
+        authorDisplayName: snippet.authorDisplayName || "",
+        authorChannelId: snippet.authorChannelId?.value || null,
+        likeCount: snippet.likeCount || 0,
+        publishedAt: snippet.publishedAt || null,
+        updatedAt: snippet.updatedAt || snippet.publishedAt || null,
+        // Replies carry their parent's id; top-level comments have null
+        parentId: snippet.parentId || parentId,
+        viewerRating: snippet.viewerRating || "none",
+        totalReplyCount,
+        sentiment: null,
+        sentimentStrength: null,
+        topic: "General",
+        emojis: Array.from(text.matchAll(/[\p{Emoji_Presentation}\p{Extended_Pictographic}]/gu), (m) => m[0]),
+    };
+}
+
+function pickCommentMetadata(comment) {
+    return Object.fromEntries(COMMENT_METADATA_FIELDS.filter((f) => f in comment).map((f) => [f, comment[f]]));
 }
 
 // -------------------- YouTube Comments Fetching --------------------
-async function fetchAllComments(videoId, apiKey) {
-    const comments = [];
-    let pageToken = "";
-    const baseUrl = "https://www.googleapis.com/youtube/v3/commentThreads";
+// Pages through comment threads for `job`, resuming from `job.pageToken` with the comments
+// already in `job.comments`. Job state is persisted after every page, and the loop stops early
+// when the job is paused or cancelled.
+//
+// With `knownIds` (ids already stored for this video) the fetch is incremental: threads are
+// requested newest-first and paging stops at the first thread we already have. New replies
+// posted under already-stored threads are not picked up in this mode; a full refresh gets them.
+async function fetchAllComments(job, knownIds = null) {
+    const seen = new Set(job.comments.map((c) => c.id));
+    const push = (comment) => {
+        if (seen.has(comment.id)) return; // a page re-fetched after a restart
+        seen.add(comment.id);
+        job.comments.push(comment);
+    };
 
-    logInfo("🎬 Starting fetchAllComments", { videoId });
+    logInfo("🎬 Starting fetchAllComments", {
+        videoId: job.videoId,
+        incremental: !!knownIds,
+        resumedWith: job.comments.length,
+    });
 
     try {
-        do {
-            const url = new URL(baseUrl);
-            url.searchParams.set("part", "snippet");
-            url.searchParams.set("videoId", videoId);
-            url.searchParams.set("key", apiKey);
-            url.searchParams.set("maxResults", "100");
-            if (pageToken) url.searchParams.set("pageToken", pageToken);
+        while (!job.fetchComplete) {
+            if (job.status !== JOB_STATUS.RUNNING) {
+                logInfo(`Fetch loop stopped, job is ${job.status}:`, job.videoId);
+                return job.comments;
+            }
 
-            logInfo("Fetching comments batch with pageToken:", pageToken || "none");
+            logInfo("Fetching comments batch with pageToken:", job.pageToken || "none");
+            reportJobProgress(job, JOB_PHASE.FETCHING_THREADS);
 
-            const data = await fetchWithRetry(url.toString());
+            const data = await fetchYouTubeApi("commentThreads", {
+                part: "snippet",
+                videoId: job.videoId,
+                maxResults: "100",
+                order: knownIds ? "time" : undefined,
+                pageToken: job.pageToken,
+            });
 
+            let reachedKnown = false;
             for (const item of data.items || []) {
+                if (knownIds?.has(item?.snippet?.topLevelComment?.id)) {
+                    logInfo("Reached an already-stored thread, stopping incremental fetch:", item.snippet.topLevelComment.id);
+                    reachedKnown = true;
+                    break;
+                }
+
                 const snippet = item?.snippet?.topLevelComment?.snippet;
                 if (snippet) {
-                    comments.push({
-                        id: item.snippet.topLevelComment.id,
-                        text: snippet.textDisplay,
-                        timestamp: new Date(snippet.publishedAt).getTime() / 1000,
-                        sentiment: null,
-                        sentimentStrength: null,
-                        topic: "General",
-                        emojis: Array.from(
-                            snippet.textDisplay.matchAll(/[\p{Emoji_Presentation}\p{Extended_Pictographic}]/gu),
-                            (m) => m[0]
-                        ),
-                    });
+                    push(buildComment(item.snippet.topLevelComment.id, snippet, {
+                        totalReplyCount: item.snippet.totalReplyCount || 0,
+                    }));
                 }
 
                 // Fetch replies
-                if (item.snippet.totalReplyCount > 0) {
+                if (snippet && item.snippet.totalReplyCount > 0) {
                     logInfo(`Fetching ${item.snippet.totalReplyCount} replies for parent ID:`, item.snippet.topLevelComment.id);
-                    const replies = await fetchReplies(item.snippet.topLevelComment.id, apiKey);
-                    comments.push(...replies);
+                    reportJobProgress(job, JOB_PHASE.FETCHING_REPLIES, { throttleMs: 500 });
+                    const replies = await fetchReplies(item.snippet.topLevelComment.id);
+                    replies.forEach(push);
                 }
             }
 
-            pageToken = data.nextPageToken || "";
-
-            chrome.runtime.sendMessage({
-                action: "progressUpdate",
-                processedComments: comments.length,
-            });
+            job.pageToken = data.nextPageToken || "";
+            job.fetchComplete = reachedKnown || !job.pageToken;
+            await persistJob(job);
+            reportJobProgress(job, JOB_PHASE.FETCHING_THREADS);
 
-            logInfo(`Fetched ${comments.length} comments so far...`);
+            logInfo(`Fetched ${job.comments.length} comments so far...`);
             await new Promise((r) => setTimeout(r, 200)); // small delay
-        } while (pageToken);
+        }
 
-        logInfo(`✅ Total comments fetched: ${comments.length}`);
-        return comments;
+        logInfo(`✅ Total comments fetched: ${job.comments.length}`);
+        return job.comments;
     } catch (err) {
-        logError("Error fetching all comments", err, { videoId });
+        logError("Error fetching all comments", err, { videoId: job.videoId });
         throw err;
     }
 }
 
 // -------------------- Fetch replies --------------------
-async function fetchReplies(parentId, apiKey) {
+async function fetchReplies(parentId) {
     const replies = [];
     let pageToken = "";
-    const baseUrl = "https://www.googleapis.com/youtube/v3/comments";
 
     logInfo("Fetching replies for comment ID:", parentId);
 
     try {
         do {
-            const url = new URL(baseUrl);
-            url.searchParams.set("part", "snippet");
-            url.searchParams.set("parentId", parentId);
-            url.searchParams.set("key", apiKey);
-            url.searchParams.set("maxResults", "100");
-            if (pageToken) url.searchParams.set("pageToken", pageToken);
-
-            const data = await fetchWithRetry(url.toString());
+            const data = await fetchYouTubeApi("comments", {
+                part: "snippet",
+                parentId,
+                maxResults: "100",
+                pageToken,
+            });
 
             (data.items || []).forEach((item) => {
-                const snippet = item.snippet;
-                if (!snippet) return;
-
-                const emojis = Array.from(
-                    snippet.textDisplay.matchAll(/[\p{Emoji_Presentation}\p{Extended_Pictographic}]/gu),
-                    (m) => m[0]
-                );
-
-                replies.push({
-                    id: item.id,
-                    text: snippet.textDisplay || "",
-                    timestamp: new Date(snippet.publishedAt).getTime() / 1000,
-                    sentiment: null,
-                    sentimentStrength: null,
-                    topic: "General",
-                    emojis,
-                });
+                if (item.snippet) replies.push(buildComment(item.id, item.snippet, { parentId }));
             });
 
             pageToken = data.nextPageToken || "";
@@ -234,50 +678,780 @@ async function fetchReplies(parentId, apiKey) {
     return replies;
 }
 
-// -------------------- Send All Comments at Once --------------------
-async function sendAllComments(comments) {
-    logInfo("Sending all comments to /analyze API...", { count: comments.length });
+// -------------------- Analysis Backend --------------------
+// Mark `err` as a failure talking to the analyzer (see classifyError). Only the requests themselves
+// are tagged, so storage, schema and local-scorer errors aren't reported as the backend being down.
+function analyzerError(err) {
+    err.source = "backend";
+    return err;
+}
 
+// fetch() with an abort after `timeoutMs`; only used for analyzer requests
+async function fetchWithTimeout(url, options = {}, timeoutMs = DEFAULT_SETTINGS.backendTimeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
     try {
-        // const resp = await fetch("http://127.0.0.1:8000/analyze", {
-        const resp = await fetch("https://youtube-analyzer-backend-03m2.onrender.com/analyze", {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (err) {
+        if (err.name === "AbortError") throw analyzerError(new Error(`Request to ${url} timed out after ${timeoutMs}ms`));
+        err.network = true;
+        throw analyzerError(err);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Probe the selected analyzer, remember the outcome in `backendStatus` and tell any open popup
+async function checkBackendHealth(settings) {
+    settings = settings || (await loadSettings());
+    const adapter = getAnalyzerAdapter(settings);
+    const startedAt = performance.now();
+    const status = { adapter: adapter.id, baseUrl: adapter.endpoint(settings), checkedAt: Date.now() };
+
+    try {
+        await adapter.probe(settings);
+        status.ok = true;
+    } catch (err) {
+        status.ok = false;
+        status.error = err.message || String(err);
+    }
+    status.latencyMs = Math.round(performance.now() - startedAt);
+
+    if (status.ok) logInfo(`💓 Analyzer healthy (${status.latencyMs}ms):`, adapter.id, status.baseUrl);
+    else logWarn("💔 Backend health check failed:", status);
+
+    await setLocalStorage({ backendStatus: status });
+    broadcastMessage({ action: "backendStatus", status });
+    return status;
+}
+
+// -------------------- Analyzer Adapters --------------------
+// Every analyzer is reached through an adapter with the same contract:
+//
+//   analyze(comments, settings) -> Promise<{ comments: [...], ...extra }>
+//     comments in:  as built by buildComment ({ id, text, author, publishedAt, ... })
+//     comments out: one row per comment the analyzer could score, with the id it was sent and
+//       sentiment / sentimentStrength / topic as described in analysis_schema.js.
+//     Any other per-row or top-level fields are stored as they come.
+//   probe(settings)     rejects when the analyzer can't be reached
+//   endpoint(settings)  where it lives, for status lines
+//   batchSize(settings) comments per analyze() call
+//
+// Answers go through validateAnalyzerResponse before anything is stored.
+const ANALYZERS = {
+    [ANALYZER_ADAPTERS.BACKEND]: {
+        id: ANALYZER_ADAPTERS.BACKEND,
+        endpoint: (settings) => settings.backendBaseUrl,
+        batchSize: (settings) => settings.analyzeChunkSize,
+        probe: probeBackend,
+        analyze: postAnalyze,
+    },
+    [ANALYZER_ADAPTERS.OPENAI]: {
+        id: ANALYZER_ADAPTERS.OPENAI,
+        endpoint: (settings) => settings.openaiBaseUrl,
+        batchSize: (settings) => settings.openaiBatchSize,
+        probe: probeOpenAi,
+        analyze: analyzeWithChatCompletion,
+    },
+    [ANALYZER_ADAPTERS.LOCAL]: {
+        id: ANALYZER_ADAPTERS.LOCAL,
+        endpoint: () => "offline",
+        batchSize: (settings) => settings.analyzeChunkSize,
+        probe: async () => {},
+        analyze: async (comments) => analyzeCommentsLocally(comments),
+    },
+};
+
+function getAnalyzerAdapter(settings) {
+    return ANALYZERS[settings.analyzerAdapter] || ANALYZERS[ANALYZER_ADAPTERS.BACKEND];
+}
+
+// Older builds had a `localAnalysisMode` checkbox instead of an adapter choice
+async function migrateLocalAnalysisMode() {
+    const { settings } = await new Promise((resolve) => chrome.storage.local.get("settings", resolve));
+    if (!settings || !("localAnalysisMode" in settings)) return;
+
+    const { localAnalysisMode, ...rest } = settings;
+    if (localAnalysisMode && !rest.analyzerAdapter) rest.analyzerAdapter = ANALYZER_ADAPTERS.LOCAL;
+    await new Promise((resolve) => chrome.storage.local.set({ settings: rest }, resolve));
+    logInfo("Migrated localAnalysisMode to analyzerAdapter:", rest.analyzerAdapter || DEFAULT_SETTINGS.analyzerAdapter);
+}
+
+// Normalize an adapter's answer for `sent` (see analysis_schema.js). Rows that can't be used are
+// dropped and counted in `schemaReport`; an answer with no usable rows is an error, so the local
+// fallback can take over.
+function validateAnalyzerResponse(data, sent, adapterId) {
+    if (!data || typeof data !== "object" || !Array.isArray(data.comments)) {
+        throw new Error(`The ${adapterId} analyzer answered without a comments array`);
+    }
+
+    const { comments, report } = normalizeAnalysisRows(data.comments, { sentIds: new Set(sent.map((c) => c.id)) });
+    if (schemaReportHasIssues(report)) {
+        logWarn(`The ${adapterId} analyzer's answer deviated from the schema:`, report);
+    }
+    if (sent.length && !comments.length) {
+        throw new Error(`The ${adapterId} analyzer returned no usable rows (${report.samples[0] || "empty answer"})`);
+    }
+    return { ...data, comments, schemaReport: report };
+}
+
+// --- FastAPI-style backend: GET <base>/health, POST <base>/analyze { comments } ---
+async function probeBackend(settings) {
+    const resp = await fetchWithTimeout(backendUrl(settings, "/health"), { headers: backendHeaders(settings) }, settings.backendTimeoutMs);
+    if (!resp.ok) throw analyzerError(new Error(`Health check returned HTTP ${resp.status}`));
+}
+
+// POST one batch to /analyze; throws on a non-2xx answer or timeout
+async function postAnalyze(comments, settings) {
+    const resp = await fetchWithTimeout(
+        backendUrl(settings, "/analyze"),
+        {
             method: "POST",
-            headers: { "Content-Type": "application/json" },
+            headers: backendHeaders(settings, { "Content-Type": "application/json" }),
             body: JSON.stringify({ comments }),
-        });
+        },
+        settings.backendTimeoutMs
+    );
 
-        if (!resp.ok) {
-            const text = await resp.text().catch(() => "");
-            throw new Error(`Analysis API error: ${resp.status} ${text}`);
+    if (!resp.ok) {
+        const text = await resp.text().catch(() => "");
+        throw analyzerError(new Error(`Analysis API error: ${resp.status} ${text}`));
+    }
+
+    return resp.json().catch((err) => {
+        throw analyzerError(err);
+    });
+}
+
+// --- OpenAI-compatible chat endpoint: GET <base>/models, POST <base>/chat/completions ---
+const OPENAI_SYSTEM_PROMPT = [
+    "You label YouTube comments for a sentiment dashboard.",
+    "The user message is a JSON array of {id, text}.",
+    'Answer with JSON only, in the form {"comments":[{"id":"<id>","sentiment":"positive|neutral|negative","sentimentStrength":"strong|weak","score":<-1..1>,"confidence":<0..1>,"topic":"<topic>"}]},',
+    "with exactly one entry per input comment and the id copied unchanged.",
+    "score is how negative (-1) or positive (1) the comment is; confidence is how sure you are of the sentiment label.",
+    "topic is a short Title Case label such as Audio, Video Quality, Content, Creator, Humor, Ads & Sponsors, Requests or General.",
+].join(" ");
+
+// Long comments are cut so a batch fits small local context windows
+const OPENAI_MAX_COMMENT_CHARS = 1000;
+
+async function probeOpenAi(settings) {
+    const resp = await fetchWithTimeout(openaiUrl(settings, "/models"), { headers: openaiHeaders(settings) }, settings.backendTimeoutMs);
+    if (!resp.ok) throw analyzerError(new Error(`GET /models returned HTTP ${resp.status}`));
+}
+
+// The model's reply, tolerating a ```json fence and a bare array
+function parseChatJson(content) {
+    const text = String(content || "").trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        throw new Error(`Chat endpoint did not answer with JSON: ${text.slice(0, 200)}`);
+    }
+    return Array.isArray(parsed) ? { comments: parsed } : parsed;
+}
+
+async function analyzeWithChatCompletion(comments, settings) {
+    const prompt = comments.map((c) => ({ id: c.id, text: plainCommentText(c.text).slice(0, OPENAI_MAX_COMMENT_CHARS) }));
+    const resp = await fetchWithTimeout(
+        openaiUrl(settings, "/chat/completions"),
+        {
+            method: "POST",
+            headers: openaiHeaders(settings, { "Content-Type": "application/json" }),
+            body: JSON.stringify({
+                model: settings.openaiModel || undefined,
+                temperature: 0,
+                response_format: { type: "json_object" },
+                messages: [
+                    { role: "system", content: OPENAI_SYSTEM_PROMPT },
+                    { role: "user", content: JSON.stringify(prompt) },
+                ],
+            }),
+        },
+        settings.backendTimeoutMs
+    );
+
+    if (!resp.ok) {
+        const text = await resp.text().catch(() => "");
+        throw analyzerError(new Error(`Chat completion error: ${resp.status} ${text}`));
+    }
+
+    let parsed;
+    try {
+        const body = await resp.json();
+        parsed = parseChatJson(body?.choices?.[0]?.message?.content);
+    } catch (err) {
+        throw analyzerError(err);
+    }
+    if (!Array.isArray(parsed?.comments)) return parsed; // rejected by validateAnalyzerResponse
+
+    // Only the labels come from the model; the comment itself stays as sent
+    const sentById = new Map(comments.map((c) => [c.id, c]));
+    return {
+        comments: parsed.comments.map((row) => {
+            const id = row?.id == null ? row?.id : String(row.id);
+            if (!sentById.has(id)) return row;
+            return {
+                ...sentById.get(id),
+                sentiment: row.sentiment,
+                sentimentStrength: row.sentimentStrength,
+                topic: row.topic,
+                sentimentScore: row.score ?? row.sentimentScore,
+                confidence: row.confidence,
+            };
+        }),
+    };
+}
+
+// -------------------- Send All Comments at Once --------------------
+// `previous` is the stored analysis when `comments` is only the delta of an incremental sync;
+// the new predictions are merged into it instead of replacing it.
+// `onPhase` is told when the pipeline moves on to "analyzing" and "saving".
+// Comments are analyzed in chunks (see analyzeInChunks). Each finished chunk is merged into the stored
+// analysis and announced with `updateUI { partial: true }`, so open pages fill in while the rest runs.
+// `onPhase(phase, { analyzed, total })` reports progress to the fetch job.
+// Once `isCancelled()` turns true no new chunks start, nothing is saved and the partial slot is
+// cleared; resolves to { cancelled: true } in that case.
+const PARTIAL_SAVE_INTERVAL_MS = 1500;
+
+async function sendAllComments(videoId, comments, video = {}, previous = null, onPhase = () => {}, isCancelled = () => false) {
+    logInfo("Sending all comments to the analyzer...", { videoId, count: comments.length, incremental: !!previous });
+
+    try {
+        const settings = await loadSettings();
+
+        if (previous && !comments.length) {
+            logInfo("No new comments since last sync; skipping analysis.", { videoId });
+            onPhase(JOB_PHASE.SAVING);
+            await saveMergedAnalysis(videoId, video, previous, { comments: [] }, settings);
+            broadcastMessage({ action: "updateUI", videoId });
+            return;
         }
 
-        const data = await resp.json();
+        const total = comments.length;
+        onPhase(JOB_PHASE.ANALYZING, { analyzed: 0, total });
 
-        await setLocalStorage({
-            analysisResults: data,
-            lastFetchedAt: Date.now(),
-        });
+        let adapter = getAnalyzerAdapter(settings);
+        if (adapter.id === ANALYZER_ADAPTERS.LOCAL) {
+            logInfo("🧮 Scoring comments with the bundled scorer.", { videoId, count: total });
+        } else {
+            const health = await checkBackendHealth(settings);
+            if (!health.ok) {
+                const message = `The ${adapter.id} analyzer is unavailable at ${health.baseUrl}: ${health.error}`;
+                if (!settings.localAnalysisFallback) throw analyzerError(new Error(message));
+                logWarn("Analyzer is down; falling back to the bundled scorer.", { videoId, adapter: adapter.id, error: health.error });
+                adapter = ANALYZERS[ANALYZER_ADAPTERS.LOCAL];
+            }
+        }
+
+        // Re-attach metadata the analyzer may not echo back
+        const sentById = new Map(comments.map((c) => [c.id, c]));
+        const analyzed = [];
+        const extra = {}; // top-level fields from the responses besides `comments`
+        const schemaReport = emptySchemaReport(); // summed over chunks, stored with the results
+        let done = 0;
+        let lastPartialSaveAt = 0;
+        let saveChain = Promise.resolve();
 
-        chrome.runtime.sendMessage({
-            action: "updateUI",
-            analysisResults: data,
+        await analyzeInChunks(comments, settings, adapter, isCancelled, async (data, chunk) => {
+            const { comments: scored = [], schemaReport: chunkReport, ...rest } = data || {};
+            Object.assign(extra, rest);
+            mergeSchemaReports(schemaReport, chunkReport);
+            analyzed.push(...scored.map((c) => (sentById.has(c.id) ? { ...c, ...pickCommentMetadata(sentById.get(c.id)) } : c)));
+            done += chunk.length;
+            onPhase(JOB_PHASE.ANALYZING, { analyzed: done, total });
+
+            // Snapshots are cumulative, so skipping some only delays the view; writes just stay in order
+            if (isCancelled() || done >= total || Date.now() - lastPartialSaveAt < PARTIAL_SAVE_INTERVAL_MS) return;
+            lastPartialSaveAt = Date.now();
+            const snapshot = { ...extra, schemaReport: structuredClone(schemaReport), comments: [...analyzed] };
+            saveChain = saveChain.then(() =>
+                saveMergedAnalysis(videoId, video, previous, snapshot, settings, { analyzed: done, total })
+            );
+            await saveChain;
+            broadcastMessage({ action: "updateUI", videoId, partial: true });
         });
+        await saveChain;
+
+        if (isCancelled()) {
+            // A snapshot may have landed after cancelFetchJob cleared the slot
+            await clearPartialAnalysis(videoId);
+            logInfo("🛑 Analysis cancelled; nothing was saved.", { videoId, analyzed: done, total });
+            return { cancelled: true };
+        }
+
+        onPhase(JOB_PHASE.SAVING);
+        await saveMergedAnalysis(videoId, video, previous, { ...extra, schemaReport, comments: analyzed }, settings);
+
+        broadcastMessage({ action: "updateUI", videoId });
 
         logInfo(`✅ All comments successfully sent and analyzed. Total: ${comments.length}`);
     } catch (err) {
-        logError("Error sending comments to /analyze API", err, { totalComments: comments.length });
-        chrome.runtime.sendMessage({ action: "updateUI", error: err.message });
+        logError("Error sending comments to the analyzer", err, { totalComments: comments.length });
+        // Whatever chunks landed are dropped; the stored analysis from before this run stays as it was
+        await clearPartialAnalysis(videoId).catch((e) => logError("Failed to clear partial analysis", e, { videoId }));
+        broadcastMessage({ action: "updateUI", videoId, error: err.message, errorInfo: classifyError(err) });
+        throw err;
+    }
+}
+
+// Split `comments` into the adapter's batch size with at most `analyzeConcurrency` requests in
+// flight. `onChunk(data, chunk)` runs as each validated batch lands (completion order). A failed
+// batch is scored locally when the fallback is on; otherwise no new batches start and the error
+// is rethrown. No new batches start either once `isCancelled()` is true.
+async function analyzeInChunks(comments, settings, adapter, isCancelled, onChunk) {
+    const size = Math.max(1, Math.round(Number(adapter.batchSize(settings))) || DEFAULT_SETTINGS.analyzeChunkSize);
+    const concurrency = Math.min(Math.max(1, Math.round(Number(settings.analyzeConcurrency)) || 1), 8);
+    const chunks = [];
+    for (let i = 0; i < comments.length; i += size) chunks.push(comments.slice(i, i + size));
+
+    let next = 0;
+    let failure = null;
+
+    // Analyzers (chat models especially) skip comments. The skipped ones are re-sent once; whatever is
+    // still missing is scored locally when the fallback is on, and otherwise counted as unanswered.
+    const fillUnanswered = async (data, chunk, index) => {
+        const answered = new Set(data.comments.map((c) => c.id));
+        let missing = chunk.filter((c) => !answered.has(c.id));
+        if (!missing.length || adapter.id === ANALYZER_ADAPTERS.LOCAL) return data;
+
+        const comments = [...data.comments];
+        logWarn(`Chunk ${index + 1}/${chunks.length}: ${missing.length} comments unanswered; re-sending them.`);
+        try {
+            const retry = validateAnalyzerResponse(await adapter.analyze(missing, settings), missing, adapter.id);
+            comments.push(...retry.comments);
+            const retried = new Set(retry.comments.map((c) => c.id));
+            missing = missing.filter((c) => !retried.has(c.id));
+        } catch (err) {
+            logWarn(`Chunk ${index + 1}/${chunks.length}: follow-up batch failed.`, { error: err.message });
+        }
+
+        if (missing.length && settings.localAnalysisFallback) {
+            logWarn(`Chunk ${index + 1}/${chunks.length}: scoring ${missing.length} still-unanswered comments locally.`);
+            comments.push(...analyzeCommentsLocally(missing).comments);
+            missing = [];
+        }
+        return { ...data, comments, schemaReport: { ...data.schemaReport, unanswered: missing.length } };
+    };
+
+    const analyzeChunk = async (chunk, index) => {
+        try {
+            const data = validateAnalyzerResponse(await adapter.analyze(chunk, settings), chunk, adapter.id);
+            return await fillUnanswered(data, chunk, index);
+        } catch (err) {
+            if (adapter.id === ANALYZER_ADAPTERS.LOCAL || !settings.localAnalysisFallback) throw err;
+            logWarn(`Chunk ${index + 1}/${chunks.length} failed; scoring it locally.`, { error: err.message });
+            return analyzeCommentsLocally(chunk);
+        }
+    };
+
+    const worker = async () => {
+        while (next < chunks.length && !failure && !isCancelled()) {
+            const index = next++;
+            try {
+                const data = await analyzeChunk(chunks[index], index);
+                if (isCancelled()) return;
+                await onChunk(data, chunks[index]);
+            } catch (err) {
+                // A batch that fails after a cancel doesn't matter any more
+                if (!isCancelled()) failure = failure || err;
+            }
+        }
+    };
+
+    logInfo("📦 Analyzing in chunks:", { adapter: adapter.id, chunks: chunks.length, size, concurrency });
+    await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker));
+    if (failure) throw failure;
+}
+
+// -------------------- Save to History --------------------
+// With `progress` ({ analyzed, total }) this is a snapshot of a run whose chunks are still coming in:
+// it goes to the partial slot so the stored analysis (and the next run's `previous`) stays intact
+// until the run completes. The final save replaces the stored analysis and drops the snapshot.
+async function saveMergedAnalysis(videoId, video, previous, data, settings, progress = null) {
+    const now = Date.now();
+    let analysisResults = data;
+    let lastSync = null;
+
+    if (previous) {
+        const fresh = data.comments || [];
+        const freshIds = new Set(fresh.map((c) => c.id));
+        const kept = (previous.analysisResults?.comments || []).filter((c) => !freshIds.has(c.id));
+        analysisResults = { ...previous.analysisResults, ...data, comments: [...fresh, ...kept] };
+        lastSync = { at: now, newComments: fresh.length, since: previous.fetchedAt };
+    }
+
+    const entry = {
+        videoId,
+        title: video.title || previous?.title || "",
+        channel: video.channel || previous?.channel || "",
+        channelId: video.channelId || previous?.channelId || "",
+        publishedAt: video.publishedAt || previous?.publishedAt || null,
+        durationSeconds: video.durationSeconds || previous?.durationSeconds || null,
+        fetchedAt: now,
+        commentCount: analysisResults.comments?.length || 0,
+        lastSync,
+        analysisResults,
+    };
+
+    if (progress) {
+        await savePartialAnalysis({ ...entry, analysisProgress: progress });
+        return;
+    }
+
+    const evicted = await saveAnalysis(entry, historyLimits(settings));
+    await clearPartialAnalysis(videoId);
+    if (evicted.length) logInfo("🧹 Evicted old analyses from history:", evicted);
+}
+
+// -------------------- Fetch Jobs --------------------
+// One job per video. State is persisted after every page so a service worker restart can pick up
+// where it left off:
+//   job:<videoId>                 -> { videoId, status, full, pageToken, fetchComplete, video, startedAt,
+//                                      updatedAt, error, savedPages, savedComments }
+//   jobComments:<videoId>:<n>     -> the comments added since page n-1 was saved; only new ones are
+//                                    written, so a long fetch doesn't rewrite everything on every page
+//   jobIndex                      -> { <videoId>: status } so startup finds interrupted jobs without
+//                                    loading every stored analysis
+const JOB_STATUS = {
+    RUNNING: "running",
+    PAUSED: "paused",
+    CANCELLED: "cancelled",
+    FAILED: "failed",
+};
+
+// Pipeline phases reported to the popup's progress panel
+const JOB_PHASE = {
+    FETCHING_THREADS: "fetchingThreads",
+    FETCHING_REPLIES: "fetchingReplies",
+    ANALYZING: "analyzing",
+    SAVING: "saving",
+};
+
+// videoId -> { job, promise } for jobs running in this worker instance
+const activeJobs = new Map();
+
+const JOB_INDEX_KEY = "jobIndex";
+
+function jobStorageKey(videoId) {
+    return `job:${videoId}`;
+}
+
+function jobCommentsKey(videoId, page) {
+    return `jobComments:${videoId}:${page}`;
+}
+
+// Read-modify-write of the index is queued so jobs for different videos don't overwrite each other
+let jobIndexChain = Promise.resolve();
+
+function updateJobIndex(videoId, status) {
+    jobIndexChain = jobIndexChain
+        .then(async () => {
+            const { [JOB_INDEX_KEY]: index = {} } = await new Promise((resolve) => chrome.storage.local.get(JOB_INDEX_KEY, resolve));
+            if ((index[videoId] || null) === status) return;
+            if (status) index[videoId] = status;
+            else delete index[videoId];
+            await new Promise((resolve) => chrome.storage.local.set({ [JOB_INDEX_KEY]: index }, resolve));
+        })
+        .catch((err) => logError("Failed to update job index", err, { videoId, status }));
+    return jobIndexChain;
+}
+
+// Save the job and whatever comments arrived since the last save
+async function persistJob(job) {
+    job.updatedAt = Date.now();
+    job.savedPages = job.savedPages || 0;
+    job.savedComments = job.savedComments || 0;
+
+    const { comments, ...state } = job;
+    const items = {};
+    if (comments.length > job.savedComments) {
+        items[jobCommentsKey(job.videoId, job.savedPages)] = comments.slice(job.savedComments);
+        state.savedPages = job.savedPages + 1;
+        state.savedComments = comments.length;
+    }
+    items[jobStorageKey(job.videoId)] = state;
+
+    try {
+        await new Promise((resolve, reject) =>
+            chrome.storage.local.set(items, () => (chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve()))
+        );
+        job.savedPages = state.savedPages;
+        job.savedComments = state.savedComments;
+    } catch (err) {
+        // The page stays unsaved and goes out with the next save
+        logError("Failed to persist fetch job", err, { videoId: job.videoId, comments: comments.length });
+    }
+    await updateJobIndex(job.videoId, job.status);
+}
+
+async function readPersistedJob(videoId) {
+    const key = jobStorageKey(videoId);
+    const items = await new Promise((resolve) => chrome.storage.local.get(key, resolve));
+    const job = items[key];
+    if (!job) return null;
+    if (Array.isArray(job.comments)) return job; // saved inline by an older build; rewritten in pages on the next save
+
+    const pageKeys = Array.from({ length: job.savedPages || 0 }, (_, page) => jobCommentsKey(videoId, page));
+    const pages = pageKeys.length ? await new Promise((resolve) => chrome.storage.local.get(pageKeys, resolve)) : {};
+    job.comments = pageKeys.flatMap((pageKey) => pages[pageKey] || []);
+    job.savedComments = job.comments.length;
+    return job;
+}
+
+async function clearPersistedJob(videoId) {
+    const key = jobStorageKey(videoId);
+    const items = await new Promise((resolve) => chrome.storage.local.get(key, resolve));
+    const pageKeys = Array.from({ length: items[key]?.savedPages || 0 }, (_, page) => jobCommentsKey(videoId, page));
+    await new Promise((resolve) => chrome.storage.local.remove([key, ...pageKeys], resolve));
+    await updateJobIndex(videoId, null);
+}
+
+// Remaining fetch time from the download rate since this worker (re)started the job
+function estimateJobEtaMs(job) {
+    const isFetching = job.phase === JOB_PHASE.FETCHING_THREADS || job.phase === JOB_PHASE.FETCHING_REPLIES;
+    if (job.status !== JOB_STATUS.RUNNING || !isFetching || !job.expectedComments || !job.runStartedAt) return null;
+
+    const fetchedThisRun = job.comments.length - (job.runStartCount || 0);
+    const elapsed = Date.now() - job.runStartedAt;
+    if (fetchedThisRun <= 0 || elapsed <= 0) return null;
+
+    const remaining = Math.max(job.expectedComments - job.comments.length, 0);
+    return Math.round(remaining / (fetchedThisRun / elapsed));
+}
+
+function jobSummary(job, extra = {}) {
+    return {
+        videoId: job.videoId,
+        status: job.status,
+        phase: job.phase || null,
+        processedComments: job.comments.length,
+        expectedComments: job.expectedComments || null,
+        analyzedComments: job.analyzedComments ?? null,
+        analyzeTotal: job.analyzeTotal ?? null,
+        etaMs: estimateJobEtaMs(job),
+        error: job.error || null,
+        errorInfo: job.errorInfo || null,
+        startedAt: job.startedAt,
+        updatedAt: job.updatedAt,
+        ...extra,
+    };
+}
+
+// Move `job` to `phase` and broadcast its progress. With `throttleMs`, updates within the
+// same phase arriving faster than that are dropped (reply pages come in quick bursts).
+function reportJobProgress(job, phase = job.phase, { throttleMs = 0 } = {}) {
+    const now = Date.now();
+    if (phase === job.phase && throttleMs && now - (job.lastReportAt || 0) < throttleMs) return;
+
+    job.phase = phase;
+    job.lastReportAt = now;
+    broadcastMessage({ action: "progressUpdate", ...jobSummary(job) });
+}
+
+// Start a job for `videoId`, or attach to the one already running. A persisted paused job is
+// reported as paused rather than resumed; only an explicit resume restarts it. A job that
+// failed keeps its pages and continues from them on the next request.
+function startFetchJob(videoId, { full = false, resume = false, video = null } = {}) {
+    const running = activeJobs.get(videoId);
+    if (running) {
+        logInfo("🔗 Attaching to running fetch job:", videoId);
+        return running.promise;
+    }
+
+    // Registered synchronously so concurrent callers attach instead of starting a second job
+    const entry = { job: null, requestedStatus: null };
+    entry.promise = (async () => {
+        let job = await readPersistedJob(videoId);
+        // An explicit full re-analysis replaces a leftover incremental job instead of finishing it
+        if (job && full && !job.full) {
+            logInfo("Discarding persisted incremental job for a full re-analysis:", videoId);
+            await clearPersistedJob(videoId);
+            job = null;
+        }
+        if (job?.status === JOB_STATUS.PAUSED && !resume) {
+            logInfo("⏸️ Fetch job is paused; waiting for an explicit resume:", videoId);
+            return jobSummary(job, { paused: true });
+        }
+
+        if (job) {
+            logInfo("▶️ Resuming persisted fetch job:", { videoId, comments: job.comments.length });
+            job.status = JOB_STATUS.RUNNING;
+            job.error = null;
+            job.errorInfo = null;
+        } else {
+            job = {
+                videoId,
+                status: JOB_STATUS.RUNNING,
+                full,
+                pageToken: "",
+                fetchComplete: false,
+                comments: [],
+                video,
+                startedAt: Date.now(),
+                error: null,
+            };
+        }
+
+        // Pause/cancel may have arrived while the job was loading
+        if (entry.requestedStatus) job.status = entry.requestedStatus;
+        entry.job = job;
+
+        await persistJob(job);
+        return runFetchJob(job);
+    })().finally(() => activeJobs.delete(videoId));
+
+    activeJobs.set(videoId, entry);
+    return entry.promise;
+}
+
+async function runFetchJob(job) {
+    const { videoId } = job;
+    try {
+        // Incremental sync only needs the delta since the stored analysis
+        const settings = await loadSettings();
+        const previous = settings.incrementalSync && !job.full ? await readAnalysis(videoId) : null;
+        const knownIds = previous?.analysisResults?.comments?.length
+            ? new Set(previous.analysisResults.comments.map((c) => c.id))
+            : null;
+
+        job.video = job.video || (await fetchVideoMetadata(videoId));
+        // The videos endpoint counts every comment; an incremental run only expects the difference
+        const total = job.video.commentCount || 0;
+        job.expectedComments = knownIds ? Math.max(total - knownIds.size, 0) : total;
+        job.runStartedAt = Date.now();
+        job.runStartCount = job.comments.length;
+
+        await fetchAllComments(job, knownIds);
+
+        if (job.status === JOB_STATUS.CANCELLED) {
+            await clearPersistedJob(videoId);
+            reportJobProgress(job);
+            return jobSummary(job, { cancelled: true });
+        }
+        if (job.status === JOB_STATUS.PAUSED) {
+            await persistJob(job);
+            reportJobProgress(job);
+            return jobSummary(job, { paused: true });
+        }
+
+        const isCancelled = () => job.status === JOB_STATUS.CANCELLED;
+        const outcome = await sendAllComments(videoId, job.comments, job.video, knownIds ? previous : null, (phase, progress) => {
+            if (progress) {
+                job.analyzedComments = progress.analyzed;
+                job.analyzeTotal = progress.total;
+            }
+            reportJobProgress(job, phase);
+        }, isCancelled);
+        await clearPersistedJob(videoId);
+        if (outcome?.cancelled) {
+            reportJobProgress(job);
+            return jobSummary(job, { cancelled: true });
+        }
+
+        logInfo("✅ Finished full comment pipeline for video:", videoId);
+        return {
+            success: true,
+            cached: false,
+            incremental: !!knownIds,
+            videoId,
+            totalComments: job.comments.length,
+        };
+    } catch (err) {
+        // Cancelled while a request was still out: nothing to keep
+        if (job.status === JOB_STATUS.CANCELLED) {
+            await clearPersistedJob(videoId);
+            reportJobProgress(job);
+            return jobSummary(job, { cancelled: true });
+        }
+        // Keep the fetched pages so the next attempt doesn't start from zero
+        job.status = JOB_STATUS.FAILED;
+        job.error = err.message || String(err);
+        job.errorInfo = classifyError(err);
+        await persistJob(job);
+        reportJobProgress(job);
+        throw err;
+    }
+}
+
+// Status changes are picked up by the fetch loop after the current page
+function requestJobStatus(videoId, status) {
+    const running = activeJobs.get(videoId);
+    if (!running) return false;
+    if (running.job) running.job.status = status;
+    else running.requestedStatus = status;
+    return true;
+}
+
+async function pauseFetchJob(videoId) {
+    if (requestJobStatus(videoId, JOB_STATUS.PAUSED)) return { videoId, status: JOB_STATUS.PAUSED };
+
+    // A failed job sitting in storage can be parked as paused too
+    const persisted = await readPersistedJob(videoId);
+    if (!persisted) return null;
+    persisted.status = JOB_STATUS.PAUSED;
+    await persistJob(persisted);
+    return jobSummary(persisted);
+}
+
+async function cancelFetchJob(videoId) {
+    requestJobStatus(videoId, JOB_STATUS.CANCELLED);
+    await clearPersistedJob(videoId);
+    await clearPartialAnalysis(videoId);
+    broadcastMessage({ action: "progressUpdate", videoId, status: JOB_STATUS.CANCELLED });
+    return { videoId, status: JOB_STATUS.CANCELLED };
+}
+
+async function getFetchJobStatus(videoId) {
+    const running = activeJobs.get(videoId);
+    if (running?.job) return jobSummary(running.job);
+    const persisted = await readPersistedJob(videoId);
+    return persisted ? jobSummary(persisted) : null;
+}
+
+// A job still marked running in storage was interrupted by a worker shutdown
+async function resumeInterruptedJobs() {
+    const { [JOB_INDEX_KEY]: index = {} } = await new Promise((resolve) => chrome.storage.local.get(JOB_INDEX_KEY, resolve));
+    const interrupted = Object.keys(index).filter((videoId) => index[videoId] === JOB_STATUS.RUNNING);
+
+    for (const videoId of interrupted) {
+        logInfo("🔄 Resuming fetch job interrupted by worker restart:", videoId);
+        startFetchJob(videoId, { resume: true }).catch((err) =>
+            logError("Resumed fetch job failed", err, { videoId })
+        );
     }
 }
 
+resumeInterruptedJobs();
+
+// -------------------- Cache Freshness --------------------
+// Stored analysis for `videoId` if it is younger than the configured TTL, else null
+async function getFreshAnalysis(videoId) {
+    const settings = await loadSettings();
+    const ttlMs = Number(settings.cacheTtlMinutes) * 60000;
+    if (!(ttlMs > 0)) return null;
+
+    const entry = (await readAnalysisIndex())[videoId];
+    if (!entry || Date.now() - entry.fetchedAt > ttlMs) return null;
+    return entry;
+}
+
 // -------------------- Message Listener --------------------
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    logInfo("Received message from content script:", request);
+    logInfo("Received message from content script:", redactApiKeys(request));
+
+    if (request.action === "videoIdDetected") {
+        broadcastActiveVideo(sender.tab, request.videoId);
+        sendResponse({ success: true });
+        return;
+    }
 
     if (request.action === "fetchComments") {
         (async () => {
+            let videoId = request.videoId;
             try {
-                let videoId = request.videoId;
                 logInfo("Starting fetchComments process for video ID:", videoId);
 
                 // Get videoId if not provided
@@ -286,36 +1460,110 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                         chrome.tabs.query({ active: true, currentWindow: true }, resolve)
                     );
                     const tab = tabs[0];
-                    const url = new URL(tab.url);
-                    videoId = url.searchParams.get("v");
+                    videoId = parseYouTubeVideoId(tab?.url);
                     logInfo("Extracted video ID from tab:", videoId);
                     if (!videoId) {
-                        sendResponse({ error: "Video ID not provided." });
+                        // Not a watch page; nothing to analyze, not a failure worth an error panel
+                        sendResponse({ error: "Video ID not provided.", noVideo: true });
                         return;
                     }
                 }
 
-                // Get API key
-                const apiKey = await getApiKeyFromStorage();
-                if (!apiKey) {
-                    sendResponse({ error: "YouTube API key not set." });
-                    return;
+                // Serve a fresh cached analysis unless the caller forces a refresh
+                if (!request.force) {
+                    const cached = await getFreshAnalysis(videoId);
+                    if (cached) {
+                        logInfo("♻️ Serving cached analysis for video:", { videoId, fetchedAt: cached.fetchedAt });
+                        sendResponse({
+                            success: true,
+                            cached: true,
+                            videoId,
+                            fetchedAt: cached.fetchedAt,
+                            totalComments: cached.commentCount,
+                        });
+                        return;
+                    }
                 }
 
-                // Fetch and analyze
-                const allComments = await fetchAllComments(videoId, apiKey);
-                await sendAllComments(allComments);
+                // Page visits only start a job when the auto-analysis setting allows it
+                let video = null;
+                if (request.auto && !activeJobs.has(videoId)) {
+                    const gate = await checkAutoAnalyze(videoId, await loadSettings());
+                    if (!gate.allowed) {
+                        logInfo("⏭️ Skipping auto-analysis:", { videoId, reason: gate.reason });
+                        sendResponse({ skipped: true, videoId, reason: gate.reason });
+                        return;
+                    }
+                    video = gate.video;
+                }
 
-                logInfo("✅ Finished full comment pipeline for video:", videoId);
-                sendResponse({ success: true, totalComments: allComments.length });
+                // Get API key (skip when a job is already running; it has its own)
+                if (!activeJobs.has(videoId)) {
+                    const apiKey = await getApiKeyFromStorage();
+                    if (!apiKey) {
+                        const error = "No usable YouTube API key. Add one on the extension options page.";
+                        sendResponse({ error, errorInfo: { type: ERROR_TYPE.INVALID_KEY, message: error, reason: "noApiKey" } });
+                        return;
+                    }
+                }
+
+                // Fetch and analyze (or attach to the job already doing so)
+                sendResponse(await startFetchJob(videoId, { full: !!request.full, video }));
             } catch (err) {
                 logError("Unhandled error during fetchComments pipeline", err, request);
-                sendResponse({ error: err.message || String(err) });
+                sendResponse({ error: err.message || String(err), errorInfo: classifyError(err), videoId });
             }
         })();
 
         return true; // Keep channel open for async response
     }
+
+    // -------- API key management (options page) --------
+    const keyActions = {
+        getApiKeyStatus: () => getApiKeyStatus(),
+        addApiKeys: () => addApiKeys(request.keys || []),
+        recheckApiKey: () => recheckApiKey(request.key),
+        removeApiKey: () => removeApiKey(request.key),
+        setActiveApiKey: () => setActiveApiKey(request.key),
+    };
+
+    if (keyActions[request.action]) {
+        keyActions[request.action]()
+            .then((result) => sendResponse({ success: true, result }))
+            .catch((err) => {
+                logError(`Error handling ${request.action}`, err);
+                sendResponse({ error: err.message || String(err) });
+            });
+        return true;
+    }
+
+    // -------- Fetch job control (popup) --------
+    const jobActions = {
+        pauseJob: () => pauseFetchJob(request.videoId),
+        resumeJob: () => startFetchJob(request.videoId, { resume: true }),
+        cancelJob: () => cancelFetchJob(request.videoId),
+        getJobStatus: () => getFetchJobStatus(request.videoId),
+    };
+
+    if (jobActions[request.action]) {
+        if (!request.videoId) {
+            sendResponse({ error: "videoId is required." });
+            return;
+        }
+        // resumeJob resolves when the job finishes; callers that only want the ack use progressUpdate broadcasts
+        jobActions[request.action]()
+            .then((result) => sendResponse({ success: true, result }))
+            .catch((err) => {
+                logError(`Error handling ${request.action}`, err, redactApiKeys(request));
+                sendResponse({ error: err.message || String(err) });
+            });
+        return true;
+    }
+
+    if (request.action === "checkBackendHealth") {
+        checkBackendHealth().then((status) => sendResponse({ success: true, result: status }));
+        return true;
+    }
 });
 
 // -------------------- Global Error Tracking --------------------
@@ -29,22 +29,12 @@
 }
 
     // -------------------- Get Video ID --------------------
+    // URL shapes live in youtube_url.js, which the manifest loads before this script
     function getVideoId() {
         try {
-            const params = new URLSearchParams(window.location.search);
-            if (params.has("v")) {
-                const id = params.get("v");
-                logInfo("Extracted video ID from query parameter:", id);
-                return id;
-            }
-
-            const regex = /(?:youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/;
-            const match = window.location.href.match(regex);
-            const id = match ? match[1] : null;
-
-            if (id) logInfo("Extracted video ID from embed or short URL:", id);
+            const id = parseYouTubeVideoId(window.location.href);
+            if (id) logInfo("Extracted video ID from URL:", id);
             else logWarn("No video ID found in current URL pattern:", window.location.href);
-
             return id;
         } catch (err) {
             logError("Error extracting video ID", err);
@@ -52,6 +42,15 @@
         }
     }
 
+    // Same as getVideoId without the logging, for checks that run on every DOM change
+    function currentVideoId() {
+        try {
+            return parseYouTubeVideoId(window.location.href);
+        } catch {
+            return null;
+        }
+    }
+
     // Track last seen videoId and URL
     let lastVideoId = null;
     let lastUrl = location.href;
@@ -84,10 +83,8 @@
                 logWarn("notifyBackground called with invalid videoId:", videoId);
                 return;
             }
-            if (videoId === lastVideoId) {
-                logInfo("Video ID unchanged since last check, skipping:", videoId);
-                return;
-            }
+            // Same video, e.g. only the timestamp in the URL changed
+            if (videoId === lastVideoId) return;
 
             logInfo("🎬 New YouTube video detected!", { videoId, url: window.location.href });
             lastVideoId = videoId;
@@ -96,11 +93,13 @@
             const idResp = await safeSendMessage({ action: "videoIdDetected", videoId });
             logInfo("videoIdDetected message sent, response:", idResp);
 
-            // 2️⃣ Trigger comment fetching
-            const fetchResp = await safeSendMessage({ action: "fetchComments", videoId });
+            // 2️⃣ Trigger comment fetching; the background applies the auto-analysis setting
+            const fetchResp = await safeSendMessage({ action: "fetchComments", videoId, auto: true });
             logInfo("fetchComments message sent, response:", fetchResp);
 
-            if (fetchResp?.error) {
+            if (fetchResp?.skipped) {
+                logInfo("⏭️ Auto-analysis skipped:", fetchResp.reason);
+            } else if (fetchResp?.error) {
                 logError("Background reported error while fetching comments", fetchResp.error);
             } else {
                 logInfo("💬 Comment fetching triggered successfully for video ID:", videoId);
@@ -110,9 +109,250 @@
         }
     }
 
+    // -------------------- In-Page Analyze Button --------------------
+    const ANALYZE_BUTTON_ID = "yca-analyze-btn";
+    const COMMENT_HEADER_SELECTORS = ["ytd-comments-header-renderer #title", "ytd-comments-header-renderer"];
+
+    const ANALYZE_BUTTON_STATES = {
+        idle: { label: "🔍 Analyze comments", busy: false },
+        running: { label: "⏳ Analyzing…", busy: true },
+        done: { label: "✅ Analyzed", busy: false, hint: "Open the extension to see the results" },
+        paused: { label: "⏸️ Paused", busy: false, hint: "Resume from the extension popup" },
+        failed: { label: "⚠️ Analysis failed, retry", busy: false },
+    };
+
+    function setAnalyzeButtonState(state, hint) {
+        const button = document.getElementById(ANALYZE_BUTTON_ID);
+        if (!button) return;
+        const { label, busy, hint: defaultHint } = ANALYZE_BUTTON_STATES[state];
+        button.textContent = label;
+        button.disabled = busy;
+        button.title = hint || defaultHint || "Fetch and analyze this video's comments";
+        button.dataset.state = state;
+    }
+
+    async function onAnalyzeClick() {
+        const videoId = getVideoId();
+        if (!videoId) return;
+
+        setAnalyzeButtonState("running");
+        const resp = await safeSendMessage({ action: "fetchComments", videoId });
+        // The page may have moved on to another video while this one was analyzed
+        if (currentVideoId() !== videoId) return;
+
+        if (resp?.success) setAnalyzeButtonState("done");
+        else if (resp?.paused) setAnalyzeButtonState("paused");
+        else setAnalyzeButtonState("failed", resp?.error || "No response from the extension");
+    }
+
+    // The comments section renders lazily, so this runs from the mutation observer until it sticks
+    function ensureAnalyzeButton() {
+        if (document.getElementById(ANALYZE_BUTTON_ID) || !currentVideoId()) return;
+
+        const header = COMMENT_HEADER_SELECTORS.map((sel) => document.querySelector(sel)).find(Boolean);
+        if (!header) return;
+
+        const button = document.createElement("button");
+        button.id = ANALYZE_BUTTON_ID;
+        button.type = "button";
+        button.addEventListener("click", onAnalyzeClick);
+        header.appendChild(button);
+        setAnalyzeButtonState("idle");
+        logInfo("🧩 Injected Analyze button into the comments header.");
+    }
+
+    // -------------------- In-Page Sentiment Overlay --------------------
+    // Annotates YouTube's rendered comments with the stored analysis, matched by the comment id in each
+    // comment's permalink (...&lc=<id>; replies use "<threadId>.<replyId>", same as the Data API).
+    const COMMENT_ELEMENT_SELECTOR = "ytd-comment-view-model, ytd-comment-renderer";
+    const THREAD_ELEMENT_SELECTOR = "ytd-comment-thread-renderer";
+    const FILTER_BAR_ID = "yca-filter-bar";
+    const SENTIMENT_ICONS = { positive: "😊", neutral: "😐", negative: "😠" };
+
+    const overlay = {
+        videoId: null,
+        comments: new Map(), // comment id -> { sentiment, strength, topic }
+        sentiment: "all",
+        topic: "all",
+        refreshTimer: null,
+    };
+
+    // Mirrors analysisStorageKey() in history_store.js
+    const analysisKey = (videoId) => `analysis:${videoId}`;
+
+    function commentIdFromElement(el) {
+        const link = el.querySelector('a[href*="lc="]');
+        if (!link) return null;
+        try {
+            return new URL(link.href, location.origin).searchParams.get("lc");
+        } catch {
+            return null;
+        }
+    }
+
+    function buildBadges(result) {
+        const badges = document.createElement("span");
+        badges.className = "yca-badges";
+
+        const sentiment = document.createElement("span");
+        sentiment.className = `yca-badge yca-${result.sentiment}`;
+        sentiment.textContent = `${SENTIMENT_ICONS[result.sentiment] || ""} ${result.sentiment}`;
+
+        const strength = document.createElement("span");
+        strength.className = "yca-strength";
+        strength.dataset.strength = result.strength;
+        strength.title = `Sentiment strength: ${result.strength}`;
+        strength.textContent = result.strength === "strong" ? "●●" : "●○";
+
+        const topic = document.createElement("span");
+        topic.className = "yca-topic";
+        topic.textContent = result.topic;
+
+        badges.append(sentiment, strength, topic);
+        return badges;
+    }
+
+    // YouTube recycles comment elements, so the annotated id is kept on the element and re-checked
+    function annotateComment(el) {
+        const id = commentIdFromElement(el);
+        const result = id ? overlay.comments.get(id) : null;
+        if ((el.dataset.ycaId || null) === (result ? id : null)) return;
+
+        el.querySelector(".yca-badges")?.remove();
+        if (!result) {
+            delete el.dataset.ycaId;
+            return;
+        }
+        el.dataset.ycaId = id;
+        (el.querySelector("#header-author") || el.querySelector("#header") || el).appendChild(buildBadges(result));
+    }
+
+    // Filters act on whole threads, using the top-level comment's result
+    function threadMatchesFilter(thread) {
+        if (overlay.sentiment === "all" && overlay.topic === "all") return true;
+        const result = overlay.comments.get(thread.querySelector(COMMENT_ELEMENT_SELECTOR)?.dataset.ycaId);
+        if (!result) return false;
+        return (overlay.sentiment === "all" || result.sentiment === overlay.sentiment)
+            && (overlay.topic === "all" || result.topic === overlay.topic);
+    }
+
+    function refreshOverlay() {
+        overlay.refreshTimer = null;
+        document.querySelectorAll(COMMENT_ELEMENT_SELECTOR).forEach(annotateComment);
+
+        const threads = document.querySelectorAll(THREAD_ELEMENT_SELECTOR);
+        let shown = 0;
+        threads.forEach((thread) => {
+            const visible = !overlay.comments.size || threadMatchesFilter(thread);
+            thread.classList.toggle("yca-hidden", !visible);
+            if (visible) shown += 1;
+        });
+
+        // Only touch the text when it changes; the mutation observer would otherwise keep rescheduling
+        const count = document.querySelector(`#${FILTER_BAR_ID} .yca-filter-count`);
+        const text = `${shown} of ${threads.length} loaded threads shown`;
+        if (count && count.textContent !== text) count.textContent = text;
+    }
+
+    function scheduleOverlayRefresh() {
+        if (!overlay.comments.size && !document.querySelector(".yca-badges, .yca-hidden")) return;
+        if (!overlay.refreshTimer) overlay.refreshTimer = setTimeout(refreshOverlay, 250);
+    }
+
+    function renderFilterBar() {
+        document.getElementById(FILTER_BAR_ID)?.remove();
+        if (!overlay.comments.size) return;
+
+        const bar = document.createElement("div");
+        bar.id = FILTER_BAR_ID;
+
+        const title = document.createElement("strong");
+        title.textContent = "💬 Comment filter";
+
+        const sentimentGroup = document.createElement("div");
+        sentimentGroup.className = "yca-filter-group";
+        ["all", "positive", "neutral", "negative"].forEach((value) => {
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.textContent = value === "all" ? "All" : `${SENTIMENT_ICONS[value]} ${value}`;
+            btn.setAttribute("aria-pressed", String(overlay.sentiment === value));
+            btn.addEventListener("click", () => {
+                overlay.sentiment = value;
+                sentimentGroup.querySelectorAll("button").forEach((b) => b.setAttribute("aria-pressed", String(b === btn)));
+                refreshOverlay();
+            });
+            sentimentGroup.appendChild(btn);
+        });
+
+        const topicSelect = document.createElement("select");
+        const topics = [...new Set([...overlay.comments.values()].map((c) => c.topic))].sort();
+        ["all", ...topics].forEach((topic) => {
+            const option = document.createElement("option");
+            option.value = topic;
+            option.textContent = topic === "all" ? "All topics" : topic;
+            topicSelect.appendChild(option);
+        });
+        topicSelect.value = overlay.topic;
+        topicSelect.addEventListener("change", () => {
+            overlay.topic = topicSelect.value;
+            refreshOverlay();
+        });
+
+        const count = document.createElement("span");
+        count.className = "yca-filter-count";
+
+        const collapse = document.createElement("button");
+        collapse.type = "button";
+        collapse.className = "yca-filter-collapse";
+        collapse.title = "Collapse";
+        collapse.textContent = "–";
+        collapse.addEventListener("click", () => {
+            const collapsed = bar.classList.toggle("yca-collapsed");
+            collapse.textContent = collapsed ? "+" : "–";
+            collapse.title = collapsed ? "Expand" : "Collapse";
+        });
+
+        bar.append(collapse, title, sentimentGroup, topicSelect, count);
+        document.body.appendChild(bar);
+    }
+
+    function loadOverlayAnalysis(videoId) {
+        overlay.videoId = videoId;
+        if (!videoId) {
+            overlay.comments = new Map();
+            renderFilterBar();
+            refreshOverlay();
+            return;
+        }
+
+        const key = analysisKey(videoId);
+        chrome.storage.local.get(key, (items) => {
+            if (chrome.runtime.lastError || overlay.videoId !== videoId) return;
+            const { comments } = normalizeAnalysisRows(items?.[key]?.analysisResults?.comments);
+            overlay.comments = new Map(comments.map((c) => [c.id, {
+                sentiment: c.sentiment,
+                strength: c.sentimentStrength,
+                topic: c.topic,
+            }]));
+            if (![...overlay.comments.values()].some((c) => c.topic === overlay.topic)) overlay.topic = "all";
+
+            logInfo("🏷️ Overlay loaded stored analysis:", { videoId, comments: overlay.comments.size });
+            renderFilterBar();
+            refreshOverlay();
+        });
+    }
+
+    // Picks up analyses finishing while the page is open (Analyze button, popup, auto-analysis)
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === "local" && overlay.videoId && changes[analysisKey(overlay.videoId)]) {
+            loadOverlayAnalysis(overlay.videoId);
+        }
+    });
+
     // -------------------- Initial Detection --------------------
     try {
         const initialVideoId = getVideoId();
+        loadOverlayAnalysis(initialVideoId);
         if (initialVideoId) {
             logInfo("Initial video detected on page load:", initialVideoId);
             notifyBackground(initialVideoId);
@@ -127,12 +367,18 @@
     try {
         logInfo("Setting up MutationObserver for SPA navigation monitoring...");
 
-        new MutationObserver(() => {
+        // YouTube mutates the DOM constantly; handle the changes at most once per frame
+        let mutationFrame = null;
+        const onDomChange = () => {
+            mutationFrame = null;
             const currentUrl = location.href;
             if (currentUrl !== lastUrl) {
                 logInfo("🔄 URL changed detected!", { from: lastUrl, to: currentUrl });
                 lastUrl = currentUrl;
+                // YouTube reuses the comments header across videos
+                setAnalyzeButtonState("idle");
                 const newVideoId = getVideoId();
+                if (newVideoId !== overlay.videoId) loadOverlayAnalysis(newVideoId);
                 if (newVideoId) {
                     logInfo("New video ID extracted after SPA change:", newVideoId);
                     notifyBackground(newVideoId);
@@ -140,6 +386,12 @@
                     logWarn("URL changed, but no valid video ID detected:", currentUrl);
                 }
             }
+            ensureAnalyzeButton();
+            scheduleOverlayRefresh();
+        };
+
+        new MutationObserver(() => {
+            if (mutationFrame === null) mutationFrame = requestAnimationFrame(onDomChange);
         }).observe(document, { subtree: true, childList: true });
 
         logInfo("✅ MutationObserver initialized successfully.");
@@ -147,6 +399,28 @@
         logError("Error initializing MutationObserver", err);
     }
 
+    // -------------------- Player Seek (from popup timeline) --------------------
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (request.action !== "seekTo") return;
+
+        try {
+            const currentId = getVideoId();
+            const video = document.querySelector("video.html5-main-video") || document.querySelector("video");
+            if (!video || (request.videoId && request.videoId !== currentId)) {
+                logWarn("Seek request ignored; player not showing that video.", { requested: request.videoId, currentId });
+                sendResponse({ seeked: false });
+                return;
+            }
+
+            video.currentTime = Math.max(0, Number(request.seconds) || 0);
+            logInfo("⏩ Seeked player to", request.seconds);
+            sendResponse({ seeked: true });
+        } catch (err) {
+            logError("Error seeking player", err);
+            sendResponse({ seeked: false });
+        }
+    });
+
     // -------------------- Global Error Tracking --------------------
     window.addEventListener("error", (e) => {
         logError("Global runtime error caught", e.error || e.message);
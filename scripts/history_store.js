@@ -0,0 +1,142 @@
+// ===================== history_store.js ===================== //
+// Per-video analysis history in chrome.storage.local.
+//
+//   analysisIndex              -> { [videoId]: { videoId, title, channel, fetchedAt, commentCount, bytes } }
+//   analysis:<videoId>         -> { videoId, title, channel, channelId, publishedAt, durationSeconds, fetchedAt,
+//                                   commentCount, lastSync, analysisResults }
+//   analysisPartial:<videoId>  -> the same shape plus `analysisProgress` ({ analyzed, total }), written while
+//                                   a chunked analysis is still running. It never replaces `analysis:<videoId>`
+//                                   and isn't in the index; the run removes it when it succeeds or fails.
+//
+// The index stays small so the popup can list history without loading every result set.
+// Shared by the service worker (importScripts) and the extension pages.
+
+const HISTORY_INDEX_KEY = "analysisIndex";
+
+function analysisStorageKey(videoId) {
+    return `analysis:${videoId}`;
+}
+
+function partialAnalysisStorageKey(videoId) {
+    return `analysisPartial:${videoId}`;
+}
+
+function storageGet(keys) {
+    return new Promise((resolve) => chrome.storage.local.get(keys, (items) => resolve(items || {})));
+}
+
+function storageSet(items) {
+    return new Promise((resolve, reject) =>
+        chrome.storage.local.set(items, () =>
+            chrome.runtime.lastError ? reject(new Error(chrome.runtime.lastError.message)) : resolve()
+        )
+    );
+}
+
+function storageRemove(keys) {
+    return new Promise((resolve) => chrome.storage.local.remove(keys, resolve));
+}
+
+async function readAnalysisIndex() {
+    return (await storageGet(HISTORY_INDEX_KEY))[HISTORY_INDEX_KEY] || {};
+}
+
+// History entries, newest first
+async function listAnalyses() {
+    return Object.values(await readAnalysisIndex()).sort((a, b) => b.fetchedAt - a.fetchedAt);
+}
+
+async function readAnalysis(videoId) {
+    if (!videoId) return null;
+    const key = analysisStorageKey(videoId);
+    return (await storageGet(key))[key] || null;
+}
+
+// The in-progress snapshot for `videoId` if a run is filling one, else the stored analysis
+async function readLatestAnalysis(videoId) {
+    if (!videoId) return null;
+    const keys = [partialAnalysisStorageKey(videoId), analysisStorageKey(videoId)];
+    const items = await storageGet(keys);
+    return items[keys[0]] || items[keys[1]] || null;
+}
+
+async function savePartialAnalysis(entry) {
+    await storageSet({ [partialAnalysisStorageKey(entry.videoId)]: entry });
+}
+
+async function clearPartialAnalysis(videoId) {
+    await storageRemove(partialAnalysisStorageKey(videoId));
+}
+
+async function deleteAnalysis(videoId) {
+    const index = await readAnalysisIndex();
+    delete index[videoId];
+    await storageRemove([analysisStorageKey(videoId), partialAnalysisStorageKey(videoId)]);
+    await storageSet({ [HISTORY_INDEX_KEY]: index });
+}
+
+function summarizeAnalysis(entry, bytes) {
+    return {
+        videoId: entry.videoId,
+        title: entry.title || entry.videoId,
+        channel: entry.channel || "",
+        fetchedAt: entry.fetchedAt,
+        commentCount: entry.commentCount,
+        bytes,
+    };
+}
+
+// Save (or replace) one video's analysis, then evict old entries to stay inside the quota.
+// If the write itself hits the quota, the oldest other entries are dropped and it is retried.
+async function saveAnalysis(entry, limits = {}) {
+    const bytes = new Blob([JSON.stringify(entry)]).size;
+    const write = async () => {
+        const index = await readAnalysisIndex();
+        index[entry.videoId] = summarizeAnalysis(entry, bytes);
+        await storageSet({ [analysisStorageKey(entry.videoId)]: entry, [HISTORY_INDEX_KEY]: index });
+    };
+
+    try {
+        await write();
+    } catch (err) {
+        if (!/quota/i.test(err.message)) throw err;
+        // Leave headroom for settings, key store and in-flight jobs
+        const hardLimit = Math.floor((chrome.storage.local.QUOTA_BYTES || 10485760) * 0.8);
+        await evictAnalyses({ ...limits, maxBytes: Math.min(limits.maxBytes || hardLimit, hardLimit), keep: entry.videoId, needBytes: bytes });
+        await write();
+    }
+
+    return evictAnalyses({ ...limits, keep: entry.videoId });
+}
+
+// Drop entries older than `maxAgeDays`, beyond `maxEntries`, or while the history plus `needBytes`
+// would exceed `maxBytes`. Oldest entries go first; the entry named by `keep` is never evicted.
+async function evictAnalyses({ maxAgeDays, maxEntries, maxBytes, keep = null, needBytes = 0 } = {}) {
+    const index = await readAnalysisIndex();
+    const now = Date.now();
+    const evicted = [];
+
+    const entries = Object.values(index).sort((a, b) => a.fetchedAt - b.fetchedAt); // oldest first
+    let totalBytes = entries.reduce((sum, e) => sum + (e.bytes || 0), 0);
+    let count = entries.length;
+
+    for (const e of entries) {
+        if (e.videoId === keep) continue;
+        const tooOld = maxAgeDays && now - e.fetchedAt > maxAgeDays * 86400000;
+        const tooMany = maxEntries && count > maxEntries;
+        const tooBig = maxBytes && totalBytes + needBytes > maxBytes;
+        if (!tooOld && !tooMany && !tooBig) continue;
+
+        evicted.push(e.videoId);
+        delete index[e.videoId];
+        totalBytes -= e.bytes || 0;
+        count -= 1;
+    }
+
+    if (evicted.length) {
+        // A partial snapshot left behind by an abandoned run goes with its analysis
+        await storageRemove(evicted.flatMap((videoId) => [analysisStorageKey(videoId), partialAnalysisStorageKey(videoId)]));
+        await storageSet({ [HISTORY_INDEX_KEY]: index });
+    }
+    return evicted;
+}
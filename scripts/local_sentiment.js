@@ -0,0 +1,181 @@
+// ===================== local_sentiment.js ===================== //
+// Offline lexicon/rule-based scorer, used when /analyze is unreachable or when local mode is on.
+// Produces the canonical per-comment shape ({ sentiment, sentimentStrength, topic, sentimentScore,
+// confidence }, see analysis_schema.js) plus `scoredLocally: true`. Loaded by the service worker via importScripts, so it stays DOM-free.
+//
+// Scoring, loosely after VADER:
+//   - word and emoji valences are summed; "not good" flips and damps the following words
+//   - intensifiers ("very", "so") scale the next scored word, "but" shifts weight to the second clause
+//   - repeated "!" amplifies, and the sum is squashed into -1..1
+//   - confidence only reflects how many scored words/emoji there were: none -> 0, one -> 0.5, ...
+
+// Word valences, -3 (very negative) .. +3 (very positive)
+const LOCAL_WORD_VALENCE = {
+    // positive
+    good: 2, great: 3, awesome: 3, amazing: 3, excellent: 3, fantastic: 3, incredible: 3, perfect: 3,
+    brilliant: 3, outstanding: 3, superb: 3, wonderful: 3, masterpiece: 3, legendary: 3, goat: 2,
+    love: 3, loved: 3, loving: 2, loves: 3, like: 1, liked: 1, likes: 1, enjoy: 2, enjoyed: 2,
+    nice: 2, cool: 1, fun: 2, funny: 2, hilarious: 3, beautiful: 3, gorgeous: 3, cute: 2, lovely: 3,
+    best: 3, better: 1, favorite: 2, favourite: 2, helpful: 2, useful: 2, informative: 2, clear: 1,
+    thanks: 2, thank: 2, thx: 1, appreciate: 2, appreciated: 2, grateful: 2, glad: 2, happy: 2,
+    impressive: 3, impressed: 2, inspiring: 2, inspired: 2, interesting: 1, underrated: 1,
+    recommend: 2, recommended: 2, worth: 1, smooth: 1, clean: 1, solid: 2, epic: 3,
+    wow: 2, yay: 2, lol: 1, lmao: 1, haha: 1, hahaha: 1, respect: 2, congrats: 2, congratulations: 2,
+    agree: 1, correct: 1, wholesome: 3, genius: 3, fire: 2, insane: 1, banger: 3,
+    // negative
+    bad: -2, terrible: -3, awful: -3, horrible: -3, worst: -3, worse: -2, poor: -2, trash: -3,
+    garbage: -3, rubbish: -2, sucks: -2, suck: -2, sucked: -2, boring: -2, bored: -1, lame: -2,
+    hate: -3, hated: -3, hates: -3, dislike: -2, disliked: -2, annoying: -2, annoyed: -2,
+    stupid: -2, dumb: -2, idiot: -3, idiotic: -3, useless: -2, pointless: -2, waste: -2, wasted: -2,
+    fake: -2, scam: -3, clickbait: -2, misleading: -2, wrong: -2, false: -1, lie: -2, lies: -2,
+    lying: -2, disappointed: -2, disappointing: -2, disappointment: -2, sad: -2, angry: -2,
+    mad: -1, upset: -2, cringe: -2, cringy: -2, ugly: -2, broken: -2, bug: -1, buggy: -2,
+    problem: -1, problems: -1, issue: -1, issues: -1, fail: -2, failed: -2, failure: -2,
+    unfortunately: -1, sorry: -1, confusing: -2, confused: -1, overrated: -2, mediocre: -1,
+    loud: -1, quiet: -1, slow: -1, lag: -1, laggy: -2, blurry: -2, noisy: -1, ads: -1,
+    ridiculous: -2, pathetic: -3, disgusting: -3, toxic: -2, shame: -2, unsubscribed: -2,
+    unsubscribe: -2, worthless: -3, meh: -1, yikes: -1, ugh: -1, nope: -1, rip: -1,
+};
+
+// Emoji valences; emoji are never negated
+const LOCAL_EMOJI_VALENCE = {
+    "😀": 2, "😃": 2, "😄": 2, "😁": 2, "😆": 2, "😂": 2, "🤣": 2, "😊": 2, "🙂": 1, "😍": 3,
+    "🥰": 3, "😘": 2, "🤩": 3, "😎": 2, "🥳": 3, "👍": 2, "👏": 2, "🙌": 2, "💯": 2, "🔥": 2,
+    "❤": 3, "❤️": 3, "💖": 3, "💕": 3, "💗": 3, "💙": 2, "💜": 2, "💚": 2, "🧡": 2, "💛": 2,
+    "🙏": 1, "✨": 1, "🎉": 2, "👌": 2, "💪": 2, "⭐": 1, "🌟": 2, "🏆": 2, "🐐": 2,
+    "😐": 0, "🤔": 0, "😶": 0,
+    "👎": -2, "😡": -3, "😠": -2, "🤬": -3, "😢": -2, "😭": -1, "😞": -2, "😔": -2, "😒": -2,
+    "🙄": -2, "😤": -2, "💩": -2, "🤮": -3, "🤢": -2, "😬": -1, "😕": -1, "🙁": -1, "☹": -2,
+    "☹️": -2, "💔": -2, "😴": -1, "🥱": -1, "🤡": -2,
+};
+
+const LOCAL_NEGATORS = new Set([
+    "not", "no", "never", "none", "nobody", "nothing", "neither", "nor", "without", "hardly", "barely",
+    "isnt", "arent", "wasnt", "werent", "dont", "doesnt", "didnt", "cant", "cannot", "couldnt",
+    "wont", "wouldnt", "shouldnt", "aint", "havent", "hasnt", "hadnt",
+]);
+
+// Multipliers for the next scored word
+const LOCAL_INTENSIFIERS = {
+    very: 1.5, really: 1.4, so: 1.3, too: 1.3, extremely: 1.8, super: 1.5, absolutely: 1.6,
+    totally: 1.4, completely: 1.5, incredibly: 1.7, truly: 1.4, most: 1.3, such: 1.3,
+    slightly: 0.6, somewhat: 0.7, kinda: 0.7, kind: 0.8, bit: 0.7, little: 0.7, fairly: 0.8,
+};
+
+// Topic = the entry with the most keyword hits; ties go to the earlier entry
+const LOCAL_TOPICS = [
+    { topic: "Audio", keywords: ["audio", "sound", "mic", "microphone", "volume", "loud", "quiet", "music", "song", "voice", "noise", "noisy"] },
+    { topic: "Video Quality", keywords: ["quality", "resolution", "camera", "editing", "edit", "blurry", "lighting", "4k", "1080p", "footage", "graphics", "visuals", "animation"] },
+    { topic: "Content", keywords: ["explanation", "explained", "tutorial", "information", "informative", "content", "topic", "example", "examples", "lesson", "learned", "learn", "useful", "helpful"] },
+    { topic: "Creator", keywords: ["host", "creator", "channel", "youtuber", "bro", "sir", "man", "guy", "presenter"] },
+    { topic: "Humor", keywords: ["lol", "lmao", "haha", "hahaha", "funny", "hilarious", "joke", "jokes", "meme", "😂", "🤣"] },
+    { topic: "Ads & Sponsors", keywords: ["ad", "ads", "sponsor", "sponsored", "sponsorship", "promo", "advertisement", "clickbait"] },
+    { topic: "Requests", keywords: ["please", "pls", "plz", "next", "part", "more", "request", "make", "upload", "sequel"] },
+];
+
+const LOCAL_NEGATION_WINDOW = 3; // words after a negator that it still flips
+const LOCAL_NEGATION_DAMPING = -0.74;
+const LOCAL_BUT_BEFORE = 0.5;
+const LOCAL_BUT_AFTER = 1.5;
+const LOCAL_NEUTRAL_BAND = 0.05; // |score| at or below this is neutral
+const LOCAL_STRONG_SCORE = 0.5; // |score| at or above this is strong
+const LOCAL_NORMALIZE_ALPHA = 15;
+
+const LOCAL_EMOJI_REGEX = /\p{Extended_Pictographic}️?/gu;
+
+// Comment text arrives as YouTube's textDisplay HTML
+function plainCommentText(html) {
+    return String(html || "")
+        .replace(/<br\s*\/?>/gi, " ")
+        .replace(/<[^>]+>/g, " ")
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">");
+}
+
+// Lowercased words (apostrophes dropped, so "don't" -> "dont") and emoji as separate tokens
+function tokenizeForSentiment(text) {
+    const tokens = [];
+    const spaced = plainCommentText(text).replace(LOCAL_EMOJI_REGEX, (e) => ` ${e} `);
+    for (const raw of spaced.split(/\s+/)) {
+        if (!raw) continue;
+        if (LOCAL_EMOJI_REGEX.test(raw)) {
+            LOCAL_EMOJI_REGEX.lastIndex = 0;
+            tokens.push(raw);
+            continue;
+        }
+        const word = raw.toLowerCase().replace(/['’]/g, "").replace(/[^\p{L}\p{N}]+/gu, "");
+        if (word) tokens.push(word.replace(/(.)\1{2,}/g, "$1$1")); // "soooo" -> "soo"
+    }
+    return tokens;
+}
+
+function classifyTopicLocally(tokens) {
+    let best = { topic: "General", hits: 0 };
+    for (const { topic, keywords } of LOCAL_TOPICS) {
+        const hits = tokens.filter((t) => keywords.includes(t)).length;
+        if (hits > best.hits) best = { topic, hits };
+    }
+    return best.topic;
+}
+
+// Continuous score in -1..1 for one comment, and how many tokens carried a valence
+function localSentimentScore(tokens, rawText = "") {
+    const butIndex = tokens.lastIndexOf("but");
+    let sum = 0;
+    let hits = 0;
+    let negateUntil = -1;
+    let boost = 1;
+
+    tokens.forEach((token, i) => {
+        if (LOCAL_NEGATORS.has(token)) {
+            negateUntil = i + LOCAL_NEGATION_WINDOW;
+            return;
+        }
+        if (LOCAL_INTENSIFIERS[token]) {
+            boost = LOCAL_INTENSIFIERS[token];
+            return;
+        }
+
+        let valence = LOCAL_EMOJI_VALENCE[token];
+        const isEmoji = valence !== undefined;
+        if (!isEmoji) valence = LOCAL_WORD_VALENCE[token];
+        if (!valence) return;
+
+        valence *= boost;
+        boost = 1;
+        if (!isEmoji && i <= negateUntil) valence *= LOCAL_NEGATION_DAMPING;
+        if (butIndex >= 0) valence *= i < butIndex ? LOCAL_BUT_BEFORE : LOCAL_BUT_AFTER;
+        sum += valence;
+        hits++;
+    });
+
+    // "!!!" amplifies whatever direction the comment already has
+    const exclamations = Math.min((String(rawText).match(/!/g) || []).length, 4);
+    sum *= 1 + exclamations * 0.075;
+
+    return { score: sum / Math.sqrt(sum * sum + LOCAL_NORMALIZE_ALPHA), hits };
+}
+
+// Score one comment's text into the backend's per-comment shape
+function scoreCommentLocally(text) {
+    const tokens = tokenizeForSentiment(text);
+    const { score, hits } = localSentimentScore(tokens, text);
+    const sentiment = score > LOCAL_NEUTRAL_BAND ? "positive" : score < -LOCAL_NEUTRAL_BAND ? "negative" : "neutral";
+    return {
+        sentiment,
+        sentimentStrength: Math.abs(score) >= LOCAL_STRONG_SCORE ? "strong" : "weak",
+        topic: classifyTopicLocally(tokens),
+        sentimentScore: Math.round(score * 1000) / 1000,
+        confidence: Math.round((hits / (hits + 1)) * 100) / 100,
+        scoredLocally: true,
+    };
+}
+
+// Same response shape as POST /analyze: { comments: [...] }. The marker is per comment because
+// incremental syncs merge runs scored by the backend and locally.
+function analyzeCommentsLocally(comments) {
+    return { comments: comments.map((c) => ({ ...c, ...scoreCommentLocally(c.text) })) };
+}
@@ -0,0 +1,323 @@
+// ==================== options.js ==================== //
+
+// ================== LOGGING SYSTEM ==================
+function timestamp() {
+  return new Date().toLocaleTimeString();
+}
+
+function logInfo(msg, ...args) {
+  console.log(`ℹ️ [INFO - ${timestamp()}] ${msg}`, ...args);
+}
+
+function logError(msg, err) {
+  console.error(`❌ [ERROR - ${timestamp()}] ${msg}`, err);
+}
+
+const KEY_STATUS_LABELS = {
+  valid: 'Valid',
+  unknown: 'Not checked',
+  quotaExceeded: 'Quota exhausted',
+  invalid: 'Invalid'
+};
+
+// --- MESSAGING ---
+const sendToBackground = (message) => new Promise((resolve, reject) => {
+  chrome.runtime.sendMessage(message, (resp) => {
+    if (chrome.runtime.lastError) return reject(new Error(chrome.runtime.lastError.message));
+    if (resp?.error) return reject(new Error(resp.error));
+    resolve(resp?.result);
+  });
+});
+
+const formatDateTime = (ms) => ms ? new Date(ms).toLocaleString() : '—';
+
+// ===== API KEY LIST =====
+const renderApiKeyList = (keys) => {
+  const list = document.getElementById('api-key-list');
+  list.innerHTML = '';
+
+  if (!keys.length) {
+    const empty = document.createElement('li');
+    empty.className = 'options-hint';
+    empty.textContent = 'No keys saved yet. Comment fetching is disabled until you add one.';
+    list.appendChild(empty);
+    return;
+  }
+
+  keys.forEach(k => {
+    const item = document.createElement('li');
+    item.className = 'api-key-item' + (k.active ? ' active' : '');
+
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'key-name';
+    name.textContent = k.masked;
+
+    const badge = document.createElement('span');
+    badge.className = `key-badge ${k.status}`;
+    badge.textContent = KEY_STATUS_LABELS[k.status] || k.status;
+    name.appendChild(badge);
+
+    if (k.active) {
+      const activeBadge = document.createElement('span');
+      activeBadge.className = 'key-badge active';
+      activeBadge.textContent = 'Active';
+      name.appendChild(activeBadge);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'key-meta';
+    const parts = [`Added ${formatDateTime(k.addedAt)}`, `Checked ${formatDateTime(k.lastCheckedAt)}`];
+    if (k.status === 'quotaExceeded' && k.disabledUntil) parts.push(`Resumes ${formatDateTime(k.disabledUntil)}`);
+    if (k.lastError) parts.push(k.lastError);
+    meta.textContent = parts.join(' · ');
+
+    info.append(name, meta);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'key-buttons';
+    buttons.append(
+      makeKeyButton('Use', !k.active && k.healthy, () => sendToBackground({ action: 'setActiveApiKey', key: k.id })),
+      makeKeyButton('Re-check', true, () => sendToBackground({ action: 'recheckApiKey', key: k.id })),
+      makeKeyButton('Remove', true, () => sendToBackground({ action: 'removeApiKey', key: k.id }))
+    );
+
+    item.append(info, buttons);
+    list.appendChild(item);
+  });
+};
+
+const makeKeyButton = (label, enabled, onClick) => {
+  const btn = document.createElement('button');
+  btn.className = 'options-btn';
+  btn.textContent = label;
+  btn.disabled = !enabled;
+  btn.onclick = async () => {
+    btn.disabled = true;
+    try {
+      await onClick();
+      logInfo(`Key action "${label}" completed.`);
+    } catch (err) {
+      logError(`Key action "${label}" failed:`, err);
+      setStatus('add-keys-status', err.message);
+    }
+    refreshApiKeys();
+  };
+  return btn;
+};
+
+const refreshApiKeys = async () => {
+  try {
+    renderApiKeyList(await sendToBackground({ action: 'getApiKeyStatus' }) || []);
+  } catch (err) {
+    logError('Failed to load API key status:', err);
+  }
+};
+
+const setStatus = (id, text) => {
+  const el = document.getElementById(id);
+  if (el) el.textContent = text;
+};
+
+// ===== ADD KEYS =====
+const onAddKeys = async () => {
+  const input = document.getElementById('api-keys-input');
+  const button = document.getElementById('add-keys-btn');
+  const keys = input.value.split(/[\s,]+/).filter(Boolean);
+  if (!keys.length) return setStatus('add-keys-status', 'Paste at least one key.');
+
+  button.disabled = true;
+  setStatus('add-keys-status', `Validating ${keys.length} key(s)...`);
+  try {
+    const results = await sendToBackground({ action: 'addApiKeys', keys });
+    const saved = results.filter(r => r.status === 'valid' || r.status === 'quotaExceeded' || r.status === 'unknown').length;
+    const unchecked = results.filter(r => r.status === 'unknown');
+    const rejected = results.filter(r => r.status === 'invalid');
+    const duplicates = results.filter(r => r.status === 'duplicate').length;
+
+    const summary = [`${saved} saved`];
+    if (unchecked.length) summary.push(`${unchecked.length} not checked (${unchecked.map(r => `${r.key}: ${r.error}`).join('; ')})`);
+    if (duplicates) summary.push(`${duplicates} already present`);
+    if (rejected.length) summary.push(`${rejected.length} rejected (${rejected.map(r => `${r.key}: ${r.error}`).join('; ')})`);
+    setStatus('add-keys-status', summary.join(', '));
+
+    if (!rejected.length) input.value = '';
+  } catch (err) {
+    logError('Failed to add API keys:', err);
+    setStatus('add-keys-status', err.message);
+  } finally {
+    button.disabled = false;
+    refreshApiKeys();
+  }
+};
+
+// ===== ANALYZER =====
+const syncAnalyzerFields = () => {
+  const adapter = document.getElementById('analyzer-adapter').value;
+  document.getElementById('backend-adapter-fields').hidden = adapter !== ANALYZER_ADAPTERS.BACKEND;
+  document.getElementById('openai-adapter-fields').hidden = adapter !== ANALYZER_ADAPTERS.OPENAI;
+};
+
+const fillBackendForm = (settings) => {
+  document.getElementById('analyzer-adapter').value = settings.analyzerAdapter;
+  document.getElementById('backend-base-url').value = settings.backendBaseUrl;
+  document.getElementById('backend-auth-name').value = settings.backendAuthHeaderName;
+  document.getElementById('backend-auth-value').value = settings.backendAuthHeaderValue;
+  document.getElementById('backend-timeout').value = Math.round(settings.backendTimeoutMs / 1000);
+  document.getElementById('analyze-chunk-size').value = settings.analyzeChunkSize;
+  document.getElementById('analyze-concurrency').value = settings.analyzeConcurrency;
+  document.getElementById('local-analysis-fallback').checked = settings.localAnalysisFallback;
+  document.getElementById('openai-base-url').value = settings.openaiBaseUrl;
+  document.getElementById('openai-api-key').value = settings.openaiApiKey;
+  document.getElementById('openai-model').value = settings.openaiModel;
+  document.getElementById('openai-batch-size').value = settings.openaiBatchSize;
+  syncAnalyzerFields();
+};
+
+const describeBackendStatus = (status) => {
+  if (status.adapter === ANALYZER_ADAPTERS.LOCAL) return '✅ Built-in scorer, no connection needed';
+  return status.ok
+    ? `✅ ${status.baseUrl} answered in ${status.latencyMs} ms`
+    : `❌ ${status.baseUrl}: ${status.error}`;
+};
+
+// Origins outside the manifest's host_permissions need an explicit grant. Must be the
+// first await in the click handler, otherwise Chrome drops the user gesture.
+const ensureOriginPermission = (baseUrl) =>
+  chrome.permissions.request({ origins: [`${new URL(baseUrl).origin}/*`] });
+
+const onSaveBackend = async () => {
+  const adapter = document.getElementById('analyzer-adapter').value;
+  const baseUrl = document.getElementById('backend-base-url').value.trim();
+  const openaiBaseUrl = document.getElementById('openai-base-url').value.trim();
+  const timeoutSec = Number(document.getElementById('backend-timeout').value);
+
+  try {
+    // Only the URL the chosen analyzer will call has to be valid and reachable
+    const activeUrl = { [ANALYZER_ADAPTERS.BACKEND]: baseUrl, [ANALYZER_ADAPTERS.OPENAI]: openaiBaseUrl }[adapter];
+    if (activeUrl !== undefined) {
+      if (!/^https?:\/\//.test(activeUrl)) throw new Error('Base URL must start with http:// or https://');
+      if (!await ensureOriginPermission(activeUrl)) throw new Error(`Permission to reach ${activeUrl} was not granted.`);
+    }
+
+    await saveSettings({
+      analyzerAdapter: adapter,
+      backendBaseUrl: baseUrl.replace(/\/+$/, ''),
+      backendAuthHeaderName: document.getElementById('backend-auth-name').value.trim(),
+      backendAuthHeaderValue: document.getElementById('backend-auth-value').value,
+      backendTimeoutMs: (Number.isFinite(timeoutSec) && timeoutSec > 0 ? timeoutSec : DEFAULT_SETTINGS.backendTimeoutMs / 1000) * 1000,
+      analyzeChunkSize: Math.round(readPositiveNumber('analyze-chunk-size', DEFAULT_SETTINGS.analyzeChunkSize)),
+      analyzeConcurrency: Math.min(8, Math.round(readPositiveNumber('analyze-concurrency', DEFAULT_SETTINGS.analyzeConcurrency))),
+      localAnalysisFallback: document.getElementById('local-analysis-fallback').checked,
+      openaiBaseUrl: openaiBaseUrl.replace(/\/+$/, ''),
+      openaiApiKey: document.getElementById('openai-api-key').value.trim(),
+      openaiModel: document.getElementById('openai-model').value.trim(),
+      openaiBatchSize: Math.round(readPositiveNumber('openai-batch-size', DEFAULT_SETTINGS.openaiBatchSize))
+    });
+    logInfo('Backend settings saved.');
+    await onTestBackend();
+  } catch (err) {
+    logError('Failed to save backend settings:', err);
+    setStatus('backend-status-text', err.message);
+  }
+};
+
+const onTestBackend = async () => {
+  setStatus('backend-status-text', 'Checking the analyzer...');
+  try {
+    setStatus('backend-status-text', describeBackendStatus(await sendToBackground({ action: 'checkBackendHealth' })));
+  } catch (err) {
+    logError('Backend health check failed:', err);
+    setStatus('backend-status-text', err.message);
+  }
+};
+
+// ===== HISTORY LIMITS =====
+const fillHistoryForm = (settings) => {
+  document.getElementById('cache-ttl').value = settings.cacheTtlMinutes;
+  document.getElementById('incremental-sync').checked = settings.incrementalSync;
+  document.getElementById('history-max-age').value = settings.historyMaxAgeDays;
+  document.getElementById('history-max-entries').value = settings.historyMaxEntries;
+  document.getElementById('history-max-mb').value = settings.historyMaxBytes / (1024 * 1024);
+};
+
+const readPositiveNumber = (id, fallback) => {
+  const n = Number(document.getElementById(id).value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const onSaveHistory = async () => {
+  const ttl = Number(document.getElementById('cache-ttl').value);
+  try {
+    const settings = await saveSettings({
+      cacheTtlMinutes: Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_SETTINGS.cacheTtlMinutes,
+      incrementalSync: document.getElementById('incremental-sync').checked,
+      historyMaxAgeDays: readPositiveNumber('history-max-age', DEFAULT_SETTINGS.historyMaxAgeDays),
+      historyMaxEntries: Math.round(readPositiveNumber('history-max-entries', DEFAULT_SETTINGS.historyMaxEntries)),
+      historyMaxBytes: Math.round(readPositiveNumber('history-max-mb', DEFAULT_SETTINGS.historyMaxBytes / (1024 * 1024)) * 1024 * 1024)
+    });
+    fillHistoryForm(settings);
+    setStatus('history-status-text', 'Saved. History limits apply on the next analysis.');
+  } catch (err) {
+    logError('Failed to save history settings:', err);
+    setStatus('history-status-text', err.message);
+  }
+};
+
+// ===== AUTO-ANALYSIS =====
+// Only show the inputs the selected mode uses
+const syncAutoAnalyzeFields = () => {
+  const mode = document.getElementById('auto-analyze-mode').value;
+  document.getElementById('auto-analyze-channels-field').hidden = mode !== AUTO_ANALYZE_MODES.CHANNELS;
+  document.getElementById('auto-analyze-min-field').hidden = mode !== AUTO_ANALYZE_MODES.MIN_COMMENTS;
+};
+
+const fillAutoAnalyzeForm = (settings) => {
+  document.getElementById('auto-analyze-mode').value = settings.autoAnalyzeMode;
+  document.getElementById('auto-analyze-channels').value = settings.autoAnalyzeChannels.join('\n');
+  document.getElementById('auto-analyze-min-comments').value = settings.autoAnalyzeMinComments;
+  syncAutoAnalyzeFields();
+};
+
+const onSaveAutoAnalyze = async () => {
+  const minComments = Number(document.getElementById('auto-analyze-min-comments').value);
+  try {
+    const settings = await saveSettings({
+      autoAnalyzeMode: document.getElementById('auto-analyze-mode').value,
+      autoAnalyzeChannels: document.getElementById('auto-analyze-channels').value.split('\n').map(c => c.trim()).filter(Boolean),
+      autoAnalyzeMinComments: Number.isFinite(minComments) && minComments >= 0 ? Math.round(minComments) : DEFAULT_SETTINGS.autoAnalyzeMinComments
+    });
+    fillAutoAnalyzeForm(settings);
+    setStatus('auto-status-text', 'Saved. Applies to the next video you open.');
+  } catch (err) {
+    logError('Failed to save auto-analysis settings:', err);
+    setStatus('auto-status-text', err.message);
+  }
+};
+
+// --- INITIAL LOAD ---
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('add-keys-btn').addEventListener('click', onAddKeys);
+  document.getElementById('save-backend-btn').addEventListener('click', onSaveBackend);
+  document.getElementById('test-backend-btn').addEventListener('click', onTestBackend);
+  document.getElementById('save-history-btn').addEventListener('click', onSaveHistory);
+  document.getElementById('save-auto-btn').addEventListener('click', onSaveAutoAnalyze);
+  document.getElementById('auto-analyze-mode').addEventListener('change', syncAutoAnalyzeFields);
+  document.getElementById('analyzer-adapter').addEventListener('change', syncAnalyzerFields);
+  document.querySelectorAll('.backend-preset').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.getElementById('backend-base-url').value = BACKEND_PRESETS[btn.dataset.preset];
+    });
+  });
+
+  refreshApiKeys();
+  const settings = await loadSettings();
+  fillBackendForm(settings);
+  fillHistoryForm(settings);
+  fillAutoAnalyzeForm(settings);
+});
+
+// Rotation happens in the background; keep the list in sync with it
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes.ytApiKeys || changes.activeApiKey)) refreshApiKeys();
+});
@@ -0,0 +1,192 @@
+// ===================== page_sections.js ===================== //
+// Markup shared by popup.html, dashboard.html and sidepanel.html, kept in one place so the pages
+// can't drift apart. A page keeps its own shell (title, layout, page-only parts) and marks where a
+// shared section goes with <div data-section="<name>"></div>. Loaded right before popup.js, which
+// then finds the same ids on every page; sections a page leaves out don't exist there and their
+// renderers skip them.
+
+const PAGE_SECTIONS = {
+  // The popup links out to the full dashboard; the other pages already are one
+  "header-actions": (view) => `
+    <div class="header-actions">
+        <span id="cache-status" class="cache-status"></span>
+        <button id="refresh-btn" class="refresh-btn" title="Ignore the cached analysis and fetch comments again (only new ones when incremental sync is on)">⟳ Refresh</button>
+        <button id="reanalyze-btn" class="refresh-btn" title="Fetch and analyze every comment again, including new replies, edits and comments scored offline">↻ Re-analyze all</button>
+        ${view === "popup" ? `<button id="open-dashboard-btn" class="refresh-btn primary" title="Open every chart for this video in a tab">⤢ Full dashboard</button>` : ""}
+        <div id="backend-status" class="backend-status unknown" title="Analysis backend not checked yet">
+            <span class="backend-status-dot"></span>
+            <span id="backend-status-text">Backend: –</span>
+        </div>
+    </div>`,
+
+  "video-meta": () => `<div id="video-meta" class="video-meta"></div>`,
+
+  toolbar: () => `
+    <div class="dashboard-toolbar">
+        <label class="topic-filter-label">
+            Topic
+            <select id="topic-filter"><option value="">All topics</option></select>
+        </label>
+        <label class="confidence-filter-label" title="Comments the analyzer is less sure of than this count as neutral">
+            Min. confidence
+            <input id="confidence-threshold" type="range" min="0" max="1" step="0.05" value="0">
+            <output id="confidence-threshold-value" for="confidence-threshold">off</output>
+        </label>
+        <span id="filter-summary" class="history-sub"></span>
+        <details class="export-menu">
+            <summary class="refresh-btn">⬇ Export</summary>
+            <div class="export-menu-items">
+                <button data-export="comments-csv">Comments (CSV)</button>
+                <button data-export="summary-csv">Summary tables (CSV)</button>
+                <button data-export="json">Comments + summary (JSON)</button>
+                <button id="generate-report-btn">Generate report (HTML / PDF)</button>
+            </div>
+        </details>
+    </div>`,
+
+  "job-controls": () => `
+    <div id="job-controls" class="job-controls" style="display:none">
+        <ol class="job-phases">
+            <li data-phase="fetchingThreads">Fetching threads</li>
+            <li data-phase="fetchingReplies">Fetching replies</li>
+            <li data-phase="analyzing">Analyzing</li>
+            <li data-phase="saving">Saving</li>
+        </ol>
+        <div class="job-progress-track">
+            <div id="job-progress-fill" class="job-progress-fill"></div>
+        </div>
+        <div class="job-progress-row">
+            <span id="job-status-text" class="job-status-text"></span>
+            <span id="job-eta-text" class="job-eta-text"></span>
+            <button id="job-pause-btn" class="refresh-btn">⏸ Pause</button>
+            <button id="job-resume-btn" class="refresh-btn">▶ Resume</button>
+            <button id="job-cancel-btn" class="refresh-btn">✖ Cancel</button>
+        </div>
+        <p id="job-error-text" class="job-error-text"></p>
+    </div>`,
+
+  "error-panel": () => `
+    <div id="error-panel" class="error-panel" style="display:none" role="alert">
+        <span id="error-icon" class="error-icon"></span>
+        <div class="error-body">
+            <h3 id="error-title" class="error-title"></h3>
+            <p id="error-message" class="error-message"></p>
+            <p id="error-detail" class="error-detail"></p>
+        </div>
+        <div class="error-actions">
+            <button id="error-action-btn" class="refresh-btn"></button>
+            <button id="error-dismiss-btn" class="history-delete-btn" title="Dismiss">✖</button>
+        </div>
+    </div>`,
+
+  // span-full / span-wide only take effect inside the dashboard grid (dashboard.css)
+  overview: () => `
+    <div id="sentiment-overview" class="card-grid span-full">
+        <div class="card total-comments-card">
+            <h3 class="card-title">Total Comments</h3>
+            <p id="total-comments-count" class="card-count">0</p>
+        </div>
+        <div class="card total-comments-card">
+            <h3 class="card-title">Average Score</h3>
+            <p id="average-score" class="card-count">–</p>
+        </div>
+    </div>`,
+
+  breakdown: () => `<div id="detailed-breakdown-container" class="span-full"></div>`,
+
+  timeline: () => `
+    <div class="section-card span-wide">
+        <h3 class="section-title">Sentiment Over Time (by post date)</h3>
+        <div class="chart-container">
+            <canvas id="timeline-chart"></canvas>
+        </div>
+    </div>`,
+
+  "overall-sentiment": () => `
+    <div class="section-card">
+        <h3 class="section-title">Overall Sentiment Distribution</h3>
+        <div class="chart-container">
+            <canvas id="overall-sentiment-chart"></canvas>
+        </div>
+    </div>`,
+
+  "playback-timeline": () => `
+    <div class="section-card span-wide">
+        <h3 class="section-title">Sentiment by Video Moment</h3>
+        <p id="playback-timeline-note" class="history-sub"></p>
+        <div class="chart-container">
+            <canvas id="playback-timeline-chart"></canvas>
+        </div>
+    </div>`,
+
+  "topic-sentiment": () => `
+    <div class="section-card">
+        <h3 class="section-title">Topic-Based Sentiment</h3>
+        <div class="chart-container">
+            <canvas id="topic-sentiment-chart"></canvas>
+        </div>
+    </div>`,
+
+  "score-histogram": () => `
+    <div class="section-card">
+        <h3 class="section-title">Score Distribution</h3>
+        <p id="score-histogram-note" class="history-sub"></p>
+        <div class="chart-container">
+            <canvas id="score-histogram-chart"></canvas>
+        </div>
+    </div>`,
+
+  "word-cloud": () => `
+    <div class="section-card">
+        <h3 class="section-title">Top Keywords (Word Cloud)</h3>
+        <div id="word-cloud-container" class="word-cloud-container"></div>
+    </div>`,
+
+  emojis: () => `
+    <div class="section-card">
+        <h3 class="section-title">Top Emojis</h3>
+        <div id="emoji-analysis-container" class="emoji-grid"></div>
+    </div>`,
+
+  history: () => `
+    <div class="section-card">
+        <h3 class="section-title">Analysis History</h3>
+        <ul id="history-list" class="history-list"></ul>
+    </div>`,
+
+  "top-comments": () => `
+    <div class="section-card span-wide">
+        <h3 class="section-title">Most Liked Comments</h3>
+        <div id="top-comments-container" class="comments-list"></div>
+    </div>`,
+
+  "low-confidence": () => `
+    <div class="section-card span-wide">
+        <h3 class="section-title">Low-Confidence Comments</h3>
+        <p id="low-confidence-summary" class="history-sub"></p>
+        <div id="low-confidence-container" class="comments-list"></div>
+    </div>`,
+
+  threads: () => `
+    <div class="section-card span-wide">
+        <h3 class="section-title">Conversations</h3>
+        <div class="thread-toolbar">
+            <span id="thread-view-summary" class="history-sub"></span>
+            <label class="thread-toggle">
+                <input id="arguments-only-toggle" type="checkbox"> Arguments only
+            </label>
+        </div>
+        <div id="thread-view-container" class="thread-list"></div>
+    </div>`,
+};
+
+// Swap every placeholder for its section's markup; an unknown name leaves the empty placeholder
+const renderPageSections = (root = document) => {
+  const view = document.body?.dataset.view;
+  root.querySelectorAll("[data-section]").forEach(placeholder => {
+    const build = PAGE_SECTIONS[placeholder.dataset.section];
+    if (build) placeholder.outerHTML = build(view).trim();
+  });
+};
+
+renderPageSections();
@@ -5,7 +5,21 @@
 // --- GLOBAL STATE ---
 let commentsData = [];
 let selectedSentiment = null;
-let timelineChart, overallSentimentChart, topicSentimentChart, sentimentStrengthChart;
+let selectedTopic = null;
+let currentVideoId = null;
+let showArgumentsOnly = false;
+let pinnedFromHistory = false; // user picked an older analysis; don't jump away on background updates
+let currentVideoMeta = null; // history entry (title, durationSeconds, ...) without the comments
+let timelineChart, overallSentimentChart, topicSentimentChart, sentimentStrengthChart, playbackTimelineChart, scoreHistogramChart;
+let confidenceThreshold = 0; // labels the analyzer was less sure of count as neutral; 0 = off
+
+// popup.html is a compact summary; dashboard.html (a full tab) and sidepanel.html render every section
+// with the same code. Their shared markup comes from page_sections.js; renderers skip sections whose
+// elements the current page doesn't have.
+const IS_DASHBOARD_PAGE = document.body?.dataset.view === "dashboard";
+const IS_SIDE_PANEL = document.body?.dataset.view === "sidepanel";
+let followedVideoId = null; // side panel: video in the active tab of this window
+let sidePanelWindowId = null;
 
 // Stopwords for word cloud
 const stopWords = new Set([
@@ -67,62 +81,635 @@ function toDateFromAny(ts) {
 
 
 
-const formatTime = (ts) => {
+// Seconds into the video as m:ss or h:mm:ss
+const formatVideoPosition = (sec) => {
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = Math.floor(sec % 60).toString().padStart(2, '0');
+  return h ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+// Comment publish time as a readable local date-time
+const formatCommentDate = (ts) => {
   const date = toDateFromAny(ts);
-  if (!date || isNaN(date)) return "00:00";
-  const s = Math.floor(date.getTime() / 1000);
-  return `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, '0')}`;
+  if (!date || isNaN(date)) return "–";
+  return date.toLocaleString(undefined, { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+
+
+
+// --- BACKEND STATUS INDICATOR ---
+const renderBackendStatus = (status) => {
+  const el = document.getElementById("backend-status");
+  const text = document.getElementById("backend-status-text");
+  if (!el || !text || !status) return;
+
+  el.className = `backend-status ${status.ok ? "ok" : "down"}`;
+  if (status.adapter === "local") {
+    text.textContent = "offline scorer";
+    el.title = "Comments are scored by the built-in offline scorer";
+    return;
+  }
+
+  let host = status.baseUrl;
+  try { host = new URL(status.baseUrl).host; } catch { /* keep raw value */ }
+
+  const kind = status.adapter === "openai" ? "Chat endpoint" : "Backend";
+  text.textContent = status.ok ? `${host} · ${status.latencyMs} ms` : `${host} · down`;
+  el.title = status.ok
+    ? `${kind} ${status.baseUrl} answered in ${status.latencyMs} ms (${new Date(status.checkedAt).toLocaleTimeString()})`
+    : `${kind} ${status.baseUrl} failed its health check: ${status.error}`;
+};
+
+// --- CACHE STATUS / REFRESH ---
+const formatAge = (ms) => {
+  const min = Math.round((Date.now() - ms) / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  return `${Math.round(min / 60)} h ago`;
+};
+
+const setCacheStatus = (text) => {
+  const el = document.getElementById("cache-status");
+  if (el) el.textContent = text;
+};
+
+// Ask the background for an analysis; `force` skips the freshness check and `full` skips incremental
+// sync, re-fetching and re-scoring every comment. Without a videoId the background analyzes the active tab.
+const requestAnalysis = (force = false, videoId = force ? currentVideoId : null, { full = false } = {}) => {
+  const buttons = ["refresh-btn", "reanalyze-btn"].map(id => document.getElementById(id)).filter(Boolean);
+  buttons.forEach(btn => { btn.disabled = true; });
+  setCacheStatus(full ? "Re-analyzing all comments..." : force ? "Refreshing..." : "");
+
+  const message = { action: "fetchComments", force, full };
+  if (videoId) message.videoId = videoId;
+
+  chrome.runtime.sendMessage(message, (resp) => {
+    buttons.forEach(btn => { btn.disabled = false; });
+    if (chrome.runtime.lastError || resp?.error) {
+      logError("Fetch error from background:", resp?.error || chrome.runtime.lastError?.message);
+      setCacheStatus("");
+      if (!resp?.noVideo) {
+        renderErrorPanel(resp?.errorInfo || { type: "unknown", message: resp?.error || chrome.runtime.lastError?.message }, resp?.videoId);
+      }
+      return;
+    }
+
+    renderErrorPanel(null);
+    if (resp?.paused || resp?.cancelled) {
+      logInfo(`fetchComments returned with job ${resp.status}.`);
+      renderJobControls(resp);
+      setCacheStatus("");
+      return;
+    }
+
+    logInfo(`fetchComments completed (${resp?.cached ? "cached" : "fresh"}).`);
+    renderJobControls(null);
+    setCacheStatus(resp?.cached ? `Cached · ${formatAge(resp.fetchedAt)}` : "Up to date");
+    // Don't jump away from a pinned history entry, or from the video the side panel follows
+    const keepVideoId = IS_SIDE_PANEL ? followedVideoId : pinnedFromHistory ? currentVideoId : null;
+    if (resp?.videoId && (!keepVideoId || resp.videoId === keepVideoId)) {
+      updateCommentsData(resp.videoId);
+    }
+  });
+};
+
+// --- FULL DASHBOARD ---
+const openDashboardTab = (videoId = currentVideoId) => {
+  const page = videoId ? `dashboard.html?videoId=${encodeURIComponent(videoId)}` : "dashboard.html";
+  chrome.tabs.create({ url: chrome.runtime.getURL(page) });
+};
+
+// Keep the dashboard URL deep-linkable to the video it shows
+const syncDashboardLocation = (entry) => {
+  if (!IS_DASHBOARD_PAGE) return;
+  history.replaceState(null, "", `?videoId=${encodeURIComponent(entry.videoId)}`);
+  document.title = `${entry.title || entry.videoId} – Comment Dashboard`;
+};
+
+// --- SIDE PANEL: FOLLOW THE ACTIVE TAB ---
+// Shows the stored analysis for the followed video, or an empty state with an Analyze button
+const renderFollowState = (videoId, hasAnalysis) => {
+  const empty = document.getElementById("follow-empty");
+  if (!empty) return;
+
+  ["main", "#video-meta", ".dashboard-toolbar"].forEach(sel => {
+    const el = document.querySelector(sel);
+    if (el) el.style.display = hasAnalysis ? "" : "none";
+  });
+  empty.style.display = hasAnalysis ? "none" : "";
+  document.getElementById("follow-empty-text").textContent = videoId
+    ? "This video hasn't been analyzed yet."
+    : "Open a YouTube video to see its comment analysis here.";
+  document.getElementById("follow-analyze-btn").style.display = videoId ? "" : "none";
+};
+
+const followVideo = async (videoId) => {
+  if (!IS_SIDE_PANEL || (videoId && videoId === followedVideoId)) return;
+  logInfo(`Side panel following ${videoId || "no video"}.`);
+  followedVideoId = videoId;
+  selectedSentiment = null;
+  selectedTopic = null;
+
+  const entry = videoId ? await readLatestAnalysis(videoId) : null;
+  if (videoId !== followedVideoId) return; // the tab moved on while reading
+  renderFollowState(videoId, !!entry?.analysisResults?.comments?.length);
+  if (entry) updateCommentsData(videoId);
+};
+
+// --- FETCH JOB PROGRESS ---
+const JOB_PHASES = ["fetchingThreads", "fetchingReplies", "analyzing", "saving"];
+const JOB_PHASE_LABELS = {
+  fetchingThreads: "Fetching threads",
+  fetchingReplies: "Fetching replies",
+  analyzing: "Analyzing",
+  saving: "Saving"
+};
+
+const formatDuration = (ms) => {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+};
+
+// `job` is a job summary from the background ({ videoId, status, phase, processedComments,
+// expectedComments, etaMs, error }) or null to hide the panel
+const renderJobControls = (job) => {
+  const bar = document.getElementById("job-controls");
+  if (!bar) return;
+
+  const visible = job && ["running", "paused", "failed"].includes(job.status);
+  bar.style.display = visible ? "flex" : "none";
+  if (!visible) return;
+
+  bar.dataset.videoId = job.videoId;
+  const phaseIndex = JOB_PHASES.indexOf(job.phase);
+  const isFetching = phaseIndex <= 1;
+  // Analysis runs in chunks, so it has its own determinate count
+  const isAnalyzing = job.phase === "analyzing" && job.analyzeTotal;
+  const processed = (isAnalyzing ? job.analyzedComments : job.processedComments) ?? 0;
+  const expected = (isAnalyzing ? job.analyzeTotal : job.expectedComments) || 0;
+
+  // Phase steps: both fetch phases alternate, so threads counts as done once replies start
+  bar.querySelectorAll(".job-phases li").forEach((li, i) => {
+    li.className = "";
+    if (i < phaseIndex) li.classList.add("done");
+    else if (i === phaseIndex) li.classList.add(job.status === "failed" ? "failed" : "active");
+  });
+
+  const fill = document.getElementById("job-progress-fill");
+  fill.className = "job-progress-fill";
+  if (job.status === "failed") fill.classList.add("failed");
+  if ((isFetching || isAnalyzing) && expected) {
+    fill.style.width = `${Math.min(100, (processed / expected) * 100).toFixed(1)}%`;
+  } else if (job.status === "running") {
+    fill.style.width = "";
+    fill.classList.add("indeterminate");
+  }
+
+  const labels = { running: JOB_PHASE_LABELS[job.phase] || "Starting", paused: "Paused", failed: "Failed" };
+  const counts = expected ? `${processed.toLocaleString()} / ${expected.toLocaleString()}` : processed.toLocaleString();
+  document.getElementById("job-status-text").textContent = `${labels[job.status]} · ${counts} comments`;
+  document.getElementById("job-eta-text").textContent = job.etaMs ? `~${formatDuration(job.etaMs)} left` : "";
+  document.getElementById("job-error-text").textContent = job.status === "failed" && job.error
+    ? `${JOB_PHASE_LABELS[job.phase] || "Job"} failed: ${job.error}`
+    : "";
+
+  document.getElementById("job-pause-btn").style.display = job.status === "running" && isFetching ? "" : "none";
+  document.getElementById("job-resume-btn").style.display = job.status === "running" ? "none" : "";
+  // Fetching and analyzing stop on cancel; once saving has started the run finishes
+  document.getElementById("job-cancel-btn").style.display = job.status === "running" && job.phase === "saving" ? "none" : "";
 };
 
+const sendJobCommand = (action, videoId = document.getElementById("job-controls")?.dataset.videoId) => {
+  if (!videoId) return;
+  logInfo(`Sending ${action} for ${videoId}...`);
+
+  if (action === "resumeJob") {
+    renderErrorPanel(null);
+    renderJobControls({ videoId, status: "running", phase: "fetchingThreads" });
+  }
+  chrome.runtime.sendMessage({ action, videoId }, (resp) => {
+    if (chrome.runtime.lastError || resp?.error) {
+      logError(`${action} failed:`, resp?.error || chrome.runtime.lastError?.message);
+      if (action === "resumeJob") {
+        renderErrorPanel(resp?.errorInfo || { type: "unknown", message: resp?.error || chrome.runtime.lastError?.message }, videoId);
+      }
+      return;
+    }
+    // resumeJob answers once the job has finished (or paused again)
+    const result = resp?.result;
+    if (action === "resumeJob" && result?.success) {
+      renderJobControls(null);
+      updateCommentsData(result.videoId);
+    } else if (result?.status) {
+      renderJobControls(result);
+    }
+  });
+};
 
+// --- ERROR PANEL ---
+// One entry per error type from the background's classifyError(); `action` is the retry path
+const ERROR_CATALOG = {
+  quotaExceeded: {
+    icon: "⏳",
+    title: "YouTube API quota used up",
+    message: "Every API key has used its daily quota. Add another key, or try again after midnight Pacific time.",
+    action: { label: "Manage API keys", run: () => chrome.runtime.openOptionsPage() }
+  },
+  commentsDisabled: {
+    icon: "🔇",
+    title: "Comments are disabled",
+    message: "The creator turned off comments for this video, so there is nothing to analyze.",
+    action: null
+  },
+  invalidKey: {
+    icon: "🔑",
+    title: "No valid YouTube API key",
+    message: "The saved API keys were rejected by YouTube. Add a working Data API v3 key in settings.",
+    action: { label: "Open settings", run: () => chrome.runtime.openOptionsPage() }
+  },
+  backendDown: {
+    icon: "🛠️",
+    title: "Analysis backend is not responding",
+    message: "Comments were downloaded but the analysis server could not be reached. Hosted servers can take a minute to wake up.",
+    action: { label: "Retry analysis", run: (videoId) => retryAnalysis(videoId) }
+  },
+  offline: {
+    icon: "📡",
+    title: "You appear to be offline",
+    message: "Check your connection. The analysis retries automatically when you're back online.",
+    action: { label: "Retry now", run: (videoId) => retryAnalysis(videoId) }
+  },
+  unknown: {
+    icon: "⚠️",
+    title: "Something went wrong",
+    message: "The analysis failed unexpectedly.",
+    action: { label: "Retry", run: (videoId) => retryAnalysis(videoId) }
+  }
+};
 
+let currentError = null; // { type, message, videoId } while the error panel is shown
+
+// Failed jobs keep the pages they fetched, so a retry resumes rather than starting over
+const retryAnalysis = (videoId) => {
+  if (videoId) sendJobCommand("resumeJob", videoId);
+  else requestAnalysis(true);
+};
+
+const renderErrorPanel = (errorInfo, videoId = null) => {
+  const panel = document.getElementById("error-panel");
+  if (!panel) return;
+
+  if (!errorInfo) {
+    currentError = null;
+    panel.style.display = "none";
+    return;
+  }
+
+  const entry = ERROR_CATALOG[errorInfo.type] || ERROR_CATALOG.unknown;
+  currentError = { ...errorInfo, videoId };
+  panel.className = `error-panel ${errorInfo.type}`;
+  panel.style.display = "flex";
+
+  document.getElementById("error-icon").textContent = entry.icon;
+  document.getElementById("error-title").textContent = entry.title;
+  document.getElementById("error-message").textContent = entry.message;
+  document.getElementById("error-detail").textContent = errorInfo.message || "";
+
+  const actionBtn = document.getElementById("error-action-btn");
+  actionBtn.style.display = entry.action ? "" : "none";
+  if (entry.action) {
+    actionBtn.textContent = entry.action.label;
+    actionBtn.onclick = () => {
+      logInfo(`Error action "${entry.action.label}" clicked for ${errorInfo.type}.`);
+      entry.action.run(videoId);
+    };
+  }
+  logInfo(`Error panel shown: ${errorInfo.type}`, errorInfo);
+};
+
+window.addEventListener("online", () => {
+  if (currentError?.type !== "offline") return;
+  logInfo("Back online. Retrying analysis...");
+  retryAnalysis(currentError.videoId);
+});
 
 // --- INITIAL LOAD ---
 window.onload = () => {
-  logInfo("Popup loaded. Sending request to fetch comments...");
-  chrome.runtime.sendMessage({ action: "fetchComments" }, (resp) => {
-    if (resp?.error) logError("Fetch error from background:", resp.error);
-    else logInfo("Initial fetchComments request sent successfully.");
+  chrome.storage.local.get(["backendStatus"], (data) => renderBackendStatus(data.backendStatus));
+
+  // dashboard.html?videoId=... shows that video and stays on it
+  const linkedVideoId = IS_DASHBOARD_PAGE ? new URLSearchParams(location.search).get("videoId") : null;
+  pinnedFromHistory = !!linkedVideoId;
+  if (!IS_SIDE_PANEL) {
+    // dashboard.html?...&report=1 comes from the popup's "Generate report"
+    const reportRequested = IS_DASHBOARD_PAGE && new URLSearchParams(location.search).has("report");
+    updateCommentsData(linkedVideoId).then(() => { if (reportRequested) generateReport(); });
+  }
+
+  document.getElementById("refresh-btn")?.addEventListener("click", () => {
+    logInfo("Refresh clicked. Forcing a re-fetch...");
+    requestAnalysis(true, IS_SIDE_PANEL ? followedVideoId : currentVideoId);
+  });
+  document.getElementById("reanalyze-btn")?.addEventListener("click", () => {
+    logInfo("Re-analyze all clicked. Forcing a full re-fetch...");
+    requestAnalysis(true, IS_SIDE_PANEL ? followedVideoId : currentVideoId, { full: true });
+  });
+  document.getElementById("follow-analyze-btn")?.addEventListener("click", () => requestAnalysis(false, followedVideoId));
+
+  document.getElementById("open-dashboard-btn")?.addEventListener("click", () => openDashboardTab());
+  document.getElementById("job-pause-btn")?.addEventListener("click", () => sendJobCommand("pauseJob"));
+  document.getElementById("job-resume-btn")?.addEventListener("click", () => sendJobCommand("resumeJob"));
+  document.getElementById("job-cancel-btn")?.addEventListener("click", () => sendJobCommand("cancelJob"));
+  document.getElementById("error-dismiss-btn")?.addEventListener("click", () => renderErrorPanel(null));
+  document.getElementById("topic-filter")?.addEventListener("change", (e) => {
+    selectedTopic = e.target.value || null;
+    renderDashboard();
+  });
+
+  // Live label while dragging; reclassify and redraw once it's let go
+  const confidenceSlider = document.getElementById("confidence-threshold");
+  confidenceSlider?.addEventListener("input", () => {
+    const value = Number(confidenceSlider.value);
+    document.getElementById("confidence-threshold-value").textContent = value ? value.toFixed(2) : "off";
+  });
+  confidenceSlider?.addEventListener("change", () => {
+    confidenceThreshold = Number(confidenceSlider.value);
+    logInfo(`Confidence threshold: ${confidenceThreshold || "off"}`);
+    applyConfidenceThreshold();
+    renderDashboard();
+  });
+  document.getElementById("generate-report-btn")?.addEventListener("click", (e) => {
+    generateReport();
+    e.target.closest("details")?.removeAttribute("open");
+  });
+  document.querySelectorAll("[data-export]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      exportData(btn.dataset.export);
+      btn.closest("details")?.removeAttribute("open");
+    });
+  });
+  document.getElementById("arguments-only-toggle")?.addEventListener("change", (e) => {
+    showArgumentsOnly = e.target.checked;
+    renderThreadView();
   });
+
+  // Starting analyses on page visits is left to the content script and its auto-analysis setting
+  if (IS_SIDE_PANEL) {
+    chrome.windows.getCurrent((win) => { sidePanelWindowId = win.id; });
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => followVideo(parseYouTubeVideoId(tab?.url)));
+    logInfo("Side panel loaded.");
+    return;
+  }
+
+  // The dashboard is its own tab, so there is no active YouTube tab to analyze on open
+  if (IS_DASHBOARD_PAGE) {
+    logInfo("Dashboard loaded.");
+    return;
+  }
+
+  logInfo("Popup loaded. Sending request to fetch comments...");
+  requestAnalysis(false);
 };
 
 // --- REAL-TIME UPDATE LISTENER ---
 chrome.runtime.onMessage.addListener((request) => {
   logDebug("Received message from background:", request);
   if (request.action === "updateUI") {
+    // Errors and results for a video this page isn't showing stay out of it
+    if (IS_SIDE_PANEL && request.videoId !== followedVideoId) {
+      logInfo(`Ignoring update for ${request.videoId}; the side panel follows ${followedVideoId}.`);
+      return;
+    }
+    if (pinnedFromHistory && request.videoId !== currentVideoId) {
+      logInfo(`Ignoring update for ${request.videoId}; a history entry is pinned.`);
+      if (!request.error) renderHistoryPanel();
+      return;
+    }
+    if (request.error) {
+      logError("Background reported an analysis error:", request.error);
+      renderErrorPanel(request.errorInfo || { type: "unknown", message: request.error }, request.videoId);
+      // The failed run's partial snapshot is gone; fall back to what was stored before it
+      if (request.videoId && request.videoId === currentVideoId) updateCommentsData(currentVideoId);
+      return;
+    }
+    renderErrorPanel(null);
     logInfo("Triggering UI update due to background message...");
-    updateCommentsData();
+    updateCommentsData(request.videoId);
+  } else if (request.action === "activeVideoChanged") {
+    if (IS_SIDE_PANEL && request.windowId === sidePanelWindowId) followVideo(request.videoId);
+  } else if (request.action === "backendStatus") {
+    renderBackendStatus(request.status);
+  } else if (request.action === "progressUpdate") {
+    renderJobControls(request);
+    if (request.status === "failed" && request.errorInfo) renderErrorPanel(request.errorInfo, request.videoId);
   }
 });
 
 // --- MAIN DATA UPDATE ---
-const updateCommentsData = () => {
-  logInfo("Updating comments data from local storage...");
-  chrome.storage.local.get(['analysisResults'], (data) => {
-    const predictions = data.analysisResults?.comments || [];
+// Load one video's stored analysis (or the most recent one when no videoId is given)
+const updateCommentsData = async (videoId) => {
+  logInfo(`Updating comments data from history for ${videoId || "most recent video"}...`);
+  try {
+    if (!videoId) videoId = (await listAnalyses())[0]?.videoId;
+    const entry = await readLatestAnalysis(videoId);
+    // Rows are normalized before storage; this catches entries saved by older builds
+    const { comments: predictions, report } = normalizeAnalysisRows(entry?.analysisResults?.comments);
     logDebug("Fetched analysisResults:", predictions);
+    if (schemaReportHasIssues(report)) logInfo("Stored analysis needed normalizing:", report);
 
     if (predictions.length) {
+      currentVideoId = entry.videoId;
+      const { analysisResults, ...meta } = entry;
+      currentVideoMeta = meta;
       commentsData = predictions.map(p => ({
         id: p.id,
         text: p.text,
-        sentiment: p.sentiment?.toLowerCase() || 'neutral',
-        strength: p.sentimentStrength?.toLowerCase() || 'weak',
-        topic: p.topic || 'General',
+        sentiment: p.sentiment,
+        modelSentiment: p.sentiment,
+        strength: p.sentimentStrength,
+        modelStrength: p.sentimentStrength,
+        score: p.sentimentScore ?? null,
+        confidence: p.confidence ?? null,
+        topic: p.topic,
         timestamp: p.timestamp || 0,
-        emojis: p.emojis || []
+        emojis: p.emojis || [],
+        author: p.authorDisplayName || '',
+        authorChannelId: p.authorChannelId || null,
+        likeCount: Number(p.likeCount) || 0,
+        updatedAt: p.updatedAt || null,
+        parentId: p.parentId || null,
+        isReply: !!p.parentId,
+        edited: !!(p.updatedAt && p.publishedAt && p.updatedAt !== p.publishedAt),
+        viewerRating: p.viewerRating || 'none',
+        totalReplyCount: Number(p.totalReplyCount) || 0,
+        scoredLocally: !!p.scoredLocally
       }));
+      applyConfidenceThreshold();
       logInfo(`Loaded ${commentsData.length} comments into state.`);
+      renderVideoMeta(entry, schemaReportHasIssues(report) ? report : entry.analysisResults.schemaReport);
+      renderFollowState(entry.videoId, true);
+      syncDashboardLocation(entry);
       renderDashboard();
     } else {
       logInfo("No comments found in storage.");
     }
+  } catch (err) {
+    logError("Failed to load analysis from history:", err);
+  }
+  renderHistoryPanel();
+};
+
+// ===== Current Video Line =====
+const describeSchemaReport = (report) => {
+  const parts = [];
+  if (report.dropped) parts.push(`${report.dropped} rows dropped`);
+  if (report.unanswered) parts.push(`${report.unanswered} comments unanswered`);
+  if (report.fixed) parts.push(`${report.fixed} rows normalized`);
+  return parts.join(", ");
+};
+
+// `schemaReport` describes how far the analyzer's output was from analysis_schema.js
+const renderVideoMeta = (entry, schemaReport = entry.analysisResults?.schemaReport) => {
+  const el = document.getElementById("video-meta");
+  if (!el) return;
+  el.innerHTML = "";
+
+  const title = document.createElement("strong");
+  title.textContent = entry.title || entry.videoId;
+  el.appendChild(title);
+
+  const details = [entry.channel, `${entry.commentCount} comments`, `fetched ${new Date(entry.fetchedAt).toLocaleString()}`]
+    .filter(Boolean)
+    .join(" · ");
+  el.appendChild(document.createTextNode(` — ${details}`));
+
+  const localCount = (entry.analysisResults?.comments || []).filter(c => c.scoredLocally).length;
+  if (localCount) {
+    const local = document.createElement("span");
+    local.className = "local-scored";
+    local.textContent = `🧮 ${localCount === entry.commentCount ? "All" : localCount} comments scored offline`;
+    local.title = "Scored by the built-in lexicon scorer (local mode, or the backend was unavailable). Less accurate than the backend model.";
+    el.appendChild(local);
+  }
+
+  if (schemaReportHasIssues(schemaReport)) {
+    const warning = document.createElement("span");
+    warning.className = "schema-warning";
+    warning.textContent = `⚠️ Analyzer output off-schema: ${describeSchemaReport(schemaReport)}`;
+    warning.title = [
+      `${schemaReport.kept} of ${schemaReport.total} rows used.`,
+      ...Object.entries(schemaReport.reasons).map(([reason, count]) => `${count}× ${reason}`),
+      ...(schemaReport.samples.length ? ["", "e.g.", ...schemaReport.samples] : [])
+    ].join("\n");
+    el.appendChild(warning);
+  }
+
+  if (entry.analysisProgress) {
+    const partial = document.createElement("span");
+    partial.className = "sync-delta";
+    partial.textContent = `Analyzing… ${entry.analysisProgress.analyzed.toLocaleString()} / ${entry.analysisProgress.total.toLocaleString()} comments so far`;
+    el.appendChild(partial);
+  }
+
+  if (entry.lastSync) {
+    const sync = document.createElement("span");
+    sync.className = "sync-delta";
+    sync.textContent = `${entry.lastSync.newComments} new comment${entry.lastSync.newComments === 1 ? "" : "s"} since ${new Date(entry.lastSync.since).toLocaleString()}`;
+    el.appendChild(sync);
+  }
+};
+
+// ===== Analysis History Panel =====
+const renderHistoryPanel = async () => {
+  const list = document.getElementById("history-list");
+  if (!list) return;
+
+  try {
+    const entries = await listAnalyses();
+    list.innerHTML = "";
+
+    if (!entries.length) {
+      const empty = document.createElement("li");
+      empty.className = "history-sub";
+      empty.textContent = "No analyses stored yet.";
+      list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(e => {
+      const item = document.createElement("li");
+      item.className = "history-item" + (e.videoId === currentVideoId ? " current" : "");
+
+      const info = document.createElement("div");
+      const title = document.createElement("div");
+      title.className = "history-title";
+      title.textContent = e.title || e.videoId;
+      const sub = document.createElement("div");
+      sub.className = "history-sub";
+      sub.textContent = [e.channel, `${e.commentCount} comments`, new Date(e.fetchedAt).toLocaleString()]
+        .filter(Boolean)
+        .join(" · ");
+      info.append(title, sub);
+
+      const del = document.createElement("button");
+      del.className = "history-delete-btn";
+      del.title = "Remove from history";
+      del.textContent = "✖";
+      del.onclick = async (ev) => {
+        ev.stopPropagation();
+        await deleteAnalysis(e.videoId);
+        logInfo(`Removed ${e.videoId} from history.`);
+        if (e.videoId === currentVideoId) {
+          pinnedFromHistory = false;
+          updateCommentsData();
+        } else {
+          renderHistoryPanel();
+        }
+      };
+
+      item.onclick = () => {
+        pinnedFromHistory = true;
+        selectedSentiment = null;
+        selectedTopic = null;
+        updateCommentsData(e.videoId);
+      };
+
+      item.append(info, del);
+      list.appendChild(item);
+    });
+
+    logDebug(`History panel rendered with ${entries.length} entries.`);
+  } catch (err) {
+    logError("Failed to render history panel:", err);
+  }
+};
+
+// --- CONFIDENCE THRESHOLD ---
+// Below the threshold a comment counts as weak neutral everywhere (charts, filters, exports); the
+// analyzer's own labels stay in `modelSentiment` / `modelStrength`. Comments without a confidence are
+// never reclassified.
+const isLowConfidence = (c) => c.confidence !== null && c.confidence < confidenceThreshold;
+
+const applyConfidenceThreshold = () => {
+  commentsData.forEach(c => {
+    const low = isLowConfidence(c);
+    c.sentiment = low ? "neutral" : c.modelSentiment;
+    c.strength = low ? "weak" : c.modelStrength;
   });
 };
 
 // --- DATA PROCESSING ---
-const getSentimentCounts = () => {
-  const result = commentsData.reduce((acc, c) => {
+// Comments matching the active sentiment (cards) and topic (dropdown / topic chart) filters
+const getFilteredComments = () => commentsData.filter(c =>
+  (!selectedSentiment || c.sentiment === selectedSentiment) && (!selectedTopic || c.topic === selectedTopic)
+);
+
+const getSentimentCounts = (comments = commentsData) => {
+  const result = comments.reduce((acc, c) => {
     acc[c.sentiment] = (acc[c.sentiment] || 0) + 1;
     return acc;
   }, { positive: 0, neutral: 0, negative: 0 });
@@ -130,34 +717,142 @@ const getSentimentCounts = () => {
   return result;
 };
 
+// Calendar buckets for the publish-date trend, picked from the span of comment dates
+const TIMELINE_GRANULARITIES = [
+  { unit: 'hour', maxSpanDays: 3, movingAverageWindow: 6 },
+  { unit: 'day', maxSpanDays: 120, movingAverageWindow: 7 },
+  { unit: 'week', maxSpanDays: Infinity, movingAverageWindow: 4 }
+];
+
+// Start of the local hour/day/week (weeks start on Monday) containing `ms`
+const floorToUnit = (ms, unit) => {
+  const d = new Date(ms);
+  d.setMinutes(0, 0, 0);
+  if (unit === 'hour') return d.getTime();
+  d.setHours(0);
+  if (unit === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+};
+
+// Next bucket start; calendar math rather than a fixed step so DST days stay aligned
+const nextBucketStart = (ms, unit) => {
+  const d = new Date(ms);
+  if (unit === 'hour') d.setHours(d.getHours() + 1);
+  else d.setDate(d.getDate() + (unit === 'week' ? 7 : 1));
+  return d.getTime();
+};
+
 const processTimelineData = () => {
   try {
-    const map = {};
-    commentsData.forEach(c => {
-      const ts = toDateFromAny(c.timestamp);
-      if (!ts) return;
-      const sec = Math.floor(ts.getTime() / 1000);
-      const bin = Math.floor(sec / 30) * 30;
-      if (!map[bin]) map[bin] = { bin, positive: 0, neutral: 0, negative: 0 };
-      if (c.sentiment && map[bin][c.sentiment] !== undefined)
-        map[bin][c.sentiment] += 1;
+    const dated = commentsData
+      .map(c => ({ c, date: toDateFromAny(c.timestamp) }))
+      .filter(({ date }) => date && !isNaN(date));
+    if (!dated.length) return { granularity: null, buckets: [], publishedAt: null };
+
+    const times = dated.map(({ date }) => date.getTime());
+    const publishedAt = currentVideoMeta?.publishedAt ? new Date(currentVideoMeta.publishedAt).getTime() : null;
+    // reduce rather than spreading: Math.min(...times) overflows the call stack on very large videos
+    const first = times.reduce((min, t) => (t < min ? t : min), publishedAt && !isNaN(publishedAt) ? publishedAt : Infinity);
+    const last = times.reduce((max, t) => (t > max ? t : max), -Infinity);
+
+    const spanDays = (last - first) / 86400000;
+    const granularity = TIMELINE_GRANULARITIES.find(g => spanDays <= g.maxSpanDays);
+
+    // Every bucket in range, so quiet periods show as zero instead of disappearing
+    const buckets = [];
+    const byStart = new Map();
+    for (let start = floorToUnit(first, granularity.unit); start <= last; start = nextBucketStart(start, granularity.unit)) {
+      const bucket = { start, positive: 0, neutral: 0, negative: 0, scoreSum: 0, count: 0 };
+      buckets.push(bucket);
+      byStart.set(start, bucket);
+    }
+
+    dated.forEach(({ c, date }) => {
+      const bucket = byStart.get(floorToUnit(date.getTime(), granularity.unit));
+      if (!bucket) return;
+      if (bucket[c.sentiment] !== undefined) bucket[c.sentiment] += 1;
+      bucket.scoreSum += SENTIMENT_SCORE[c.sentiment] || 0;
+      bucket.count += 1;
     });
-    const result = Object.values(map).sort((a, b) => a.bin - b.bin);
+
+    // Comment-weighted moving average of the sentiment score (-1..1) over the trailing window
+    const w = granularity.movingAverageWindow;
+    buckets.forEach((b, i) => {
+      const trailing = buckets.slice(Math.max(0, i - w + 1), i + 1);
+      const count = trailing.reduce((sum, x) => sum + x.count, 0);
+      b.movingAverage = count ? trailing.reduce((sum, x) => sum + x.scoreSum, 0) / count : null;
+    });
+
+    const result = { granularity, buckets, publishedAt };
     logDebug("Processed timeline data:", result);
     return result;
   } catch (err) {
     logError("Error processing timeline data:", err);
-    return [];
+    return { granularity: null, buckets: [], publishedAt: null };
   }
 };
 
+const formatBucketLabel = (ms, unit) => {
+  const d = new Date(ms);
+  if (unit === 'hour') return d.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  if (unit === 'week') return `Week of ${d.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// "3:45" / "1:02:10" style references to a moment in the video. YouTube links them in
+// textDisplay as <a ...>3:45</a>, so tags are stripped first.
+const TIMESTAMP_REF_REGEX = /(?<![\d:])(?:(\d{1,2}):)?(\d{1,3}):([0-5]\d)(?![\d:])/g;
+
+const parseTimestampRefs = (text) => {
+  const plain = String(text || '').replace(/<[^>]*>/g, ' ');
+  const seconds = new Set();
+  for (const [, h, m, s] of plain.matchAll(TIMESTAMP_REF_REGEX)) {
+    seconds.add((Number(h) || 0) * 3600 + Number(m) * 60 + Number(s));
+  }
+  return [...seconds];
+};
+
+const PLAYBACK_BUCKET_SIZES = [10, 15, 30, 60, 120, 300, 600, 900, 1800];
+const PLAYBACK_TARGET_BUCKETS = 40;
+
+// Sentiment of comments bucketed by the moment of the video they reference
+const processPlaybackTimelineData = () => {
+  try {
+    const duration = currentVideoMeta?.durationSeconds || null;
+    const refs = [];
+    commentsData.forEach(c => {
+      parseTimestampRefs(c.text).forEach(sec => {
+        if (duration && sec > duration) return; // "12:30" in a 5 minute video is not a timestamp
+        refs.push({ sec, sentiment: c.sentiment });
+      });
+    });
 
+    const span = duration || refs.reduce((max, r) => (r.sec > max ? r.sec : max), 0);
+    const bucketSize = PLAYBACK_BUCKET_SIZES.find(size => span / size <= PLAYBACK_TARGET_BUCKETS)
+      || PLAYBACK_BUCKET_SIZES[PLAYBACK_BUCKET_SIZES.length - 1];
 
+    // Every bucket up to the end of the video, so quiet stretches show as gaps
+    const buckets = [];
+    for (let start = 0; start <= span; start += bucketSize) {
+      buckets.push({ start, positive: 0, neutral: 0, negative: 0 });
+    }
+    refs.forEach(r => {
+      const b = buckets[Math.floor(r.sec / bucketSize)];
+      if (b && b[r.sentiment] !== undefined) b[r.sentiment] += 1;
+    });
 
+    const result = { bucketSize, buckets, totalRefs: refs.length };
+    logDebug("Processed playback timeline data:", result);
+    return result;
+  } catch (err) {
+    logError("Error processing playback timeline data:", err);
+    return { bucketSize: 0, buckets: [], totalRefs: 0 };
+  }
+};
 
-const processTopicSentimentData = () => {
+const processTopicSentimentData = (comments = commentsData) => {
   const topics = {};
-  commentsData.forEach(c => {
+  comments.forEach(c => {
     if (!topics[c.topic]) topics[c.topic] = { topic: c.topic, positive: 0, neutral: 0, negative: 0 };
     topics[c.topic][c.sentiment]++;
   });
@@ -166,14 +861,82 @@ const processTopicSentimentData = () => {
   return result;
 };
 
-const processEmojiData = () => {
+const processEmojiData = (comments = commentsData, limit = 6) => {
   const map = {};
-  commentsData.forEach(c => c.emojis.forEach(e => map[e] = (map[e] || 0) + 1));
-  const result = Object.entries(map).sort(([, a], [, b]) => b - a).slice(0, 6);
+  comments.forEach(c => c.emojis.forEach(e => map[e] = (map[e] || 0) + 1));
+  const result = Object.entries(map).sort(([, a], [, b]) => b - a).slice(0, limit);
   logDebug("Emoji data:", result);
   return result;
 };
 
+// Analyzer scores (-1..1) in 0.1-wide bins; comments without a score are left out
+const SCORE_HISTOGRAM_BINS = 20;
+
+const processScoreHistogramData = (comments = commentsData) => {
+  const bins = Array.from({ length: SCORE_HISTOGRAM_BINS }, (_, i) => ({
+    from: -1 + (2 * i) / SCORE_HISTOGRAM_BINS,
+    to: -1 + (2 * (i + 1)) / SCORE_HISTOGRAM_BINS,
+    count: 0
+  }));
+  let scored = 0;
+  comments.forEach(c => {
+    if (c.score === null) return;
+    scored++;
+    const index = Math.min(SCORE_HISTOGRAM_BINS - 1, Math.floor(((c.score + 1) / 2) * SCORE_HISTOGRAM_BINS));
+    bins[index].count++;
+  });
+  return { bins, scored };
+};
+
+const averageScore = (comments = commentsData) => {
+  const scores = comments.map(c => c.score).filter(v => v !== null);
+  return scores.length ? { mean: scores.reduce((a, b) => a + b, 0) / scores.length, count: scores.length } : null;
+};
+
+// Rebuild reply threads from parentId. Replies whose parent isn't in the data set (e.g. the
+// parent was deleted) still form a thread with `parent: null`.
+const SENTIMENT_SCORE = { positive: 1, neutral: 0, negative: -1 };
+const ARGUMENT_MIN_NEGATIVE_REPLIES = 2;
+const ARGUMENT_NEGATIVE_SHARE = 0.5;
+
+const processThreadData = () => {
+  const threads = new Map();
+  const threadFor = (id) => {
+    if (!threads.has(id)) threads.set(id, { id, parent: null, replies: [] });
+    return threads.get(id);
+  };
+
+  commentsData.forEach(c => {
+    if (c.parentId) threadFor(c.parentId).replies.push(c);
+    else threadFor(c.id).parent = c;
+  });
+
+  const result = [...threads.values()]
+    .filter(t => t.replies.length)
+    .map(t => {
+      t.replies.sort((a, b) => a.timestamp - b.timestamp);
+      const all = t.parent ? [t.parent, ...t.replies] : t.replies;
+      const counts = { positive: 0, neutral: 0, negative: 0 };
+      all.forEach(c => counts[c.sentiment] !== undefined && counts[c.sentiment]++);
+
+      const negativeReplies = t.replies.filter(r => r.sentiment === 'negative').length;
+      return {
+        ...t,
+        counts,
+        replyCount: t.replies.length,
+        score: all.reduce((sum, c) => sum + (SENTIMENT_SCORE[c.sentiment] || 0), 0) / all.length,
+        // A positive comment whose replies mostly push back
+        isArgument: t.parent?.sentiment === 'positive'
+          && negativeReplies >= ARGUMENT_MIN_NEGATIVE_REPLIES
+          && negativeReplies / t.replies.length >= ARGUMENT_NEGATIVE_SHARE
+      };
+    })
+    .sort((a, b) => b.replyCount - a.replyCount);
+
+  logDebug("Thread data:", result);
+  return result;
+};
+
 const processWordCloudData = () => {
   try {
     const counts = {};
@@ -187,6 +950,7 @@ const processWordCloudData = () => {
     const scale = count => max === min ? 2 : 1 + (count - min) / (max - min) * 4;
     const result = sorted.slice(0, 30).map(([word, count]) => ({
       word,
+      count,
       size: scale(count),
       rotation: Math.random() > 0.7 ? -90 : 0
     }));
@@ -261,7 +1025,7 @@ const renderDetailedBreakdown = () => {
   try {
     const container = document.getElementById('detailed-breakdown-container');
     if (!container) {
-      logError("Container #detailed-breakdown-container not found. Skipping breakdown.");
+      logInfo("Container #detailed-breakdown-container not on this page. Skipping breakdown.");
       return;
     }
 
@@ -272,7 +1036,7 @@ const renderDetailedBreakdown = () => {
     }
 
     // --- Data Filtering ---
-    const filtered = commentsData.filter(c => c.sentiment === selectedSentiment);
+    const filtered = getFilteredComments();
     logDebug(`Filtered comments (${selectedSentiment}):`, filtered);
 
     const allStrong = filtered.filter(c => c.strength === 'strong');
@@ -425,7 +1189,7 @@ const renderOverallSentimentChart = () => {
     // Calculate total and percentages
     const total = counts.positive + counts.neutral + counts.negative;
     if (total === 0) {
-      logWarn("No sentiment data available for chart rendering.");
+      logInfo("No sentiment data available for chart rendering.");
       return;
     }
 
@@ -444,7 +1208,7 @@ const renderOverallSentimentChart = () => {
 
     const ctx = safeGetContext("overall-sentiment-chart");
     if (!ctx) {
-      logWarn("Canvas context not found for 'overall-sentiment-chart'. Skipping render.");
+      logInfo("Canvas context not found for 'overall-sentiment-chart'. Skipping render.");
       return;
     }
 
@@ -549,15 +1313,40 @@ const renderOverallSentimentChart = () => {
 
 
 
-// ===== Enhanced Render Timeline Chart =====
-// ===== Render Timeline Chart (Smooth Spline + Gradient Style) =====
-// ===== Render Timeline Chart (Stacked Area Style) =====
 // ===== Render Timeline Chart (Smooth Spline + Gradient Style) =====
+// When comments were posted, in adaptive calendar buckets, with the video's publish date
+// marked and a moving-average sentiment score on a second axis.
+
+// Dashed vertical marker at the bucket containing the publish date
+const publishDateLinePlugin = {
+  id: "publishDateLine",
+  afterDatasetsDraw(chart, args, opts) {
+    if (opts.index == null || opts.index < 0) return;
+    const x = chart.scales.x.getPixelForValue(opts.index);
+    const { top, bottom } = chart.chartArea;
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.strokeStyle = "#6366f1";
+    ctx.setLineDash([6, 4]);
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = "#4338ca";
+    ctx.font = "bold 11px sans-serif";
+    ctx.textAlign = x > chart.chartArea.right - 60 ? "right" : "left";
+    ctx.fillText("📅 Published", x + (ctx.textAlign === "left" ? 4 : -4), top + 12);
+    ctx.restore();
+  }
+};
+
 const renderTimelineChart = () => {
   logInfo("Starting smooth spline render for Timeline Chart...");
 
   try {
-    const data = processTimelineData();
+    const { granularity, buckets: data, publishedAt } = processTimelineData();
     logDebug("Processed timeline data:", data);
 
     const ctx = safeGetContext("timeline-chart");
@@ -572,10 +1361,13 @@ const renderTimelineChart = () => {
     }
 
     // Prepare data arrays
-    const labels = data.map(d => d.bin);
+    const unit = granularity?.unit || 'day';
+    const labels = data.map(d => formatBucketLabel(d.start, unit));
     const positives = data.map(d => d.positive);
     const neutrals = data.map(d => d.neutral);
     const negatives = data.map(d => d.negative);
+    const movingAverage = data.map(d => d.movingAverage);
+    const publishIndex = publishedAt ? data.findIndex(d => d.start === floorToUnit(publishedAt, unit)) : -1;
 
     // Smooth gradient fills
     const gradPositive = ctx.createLinearGradient(0, 0, 0, 400);
@@ -634,6 +1426,20 @@ const renderTimelineChart = () => {
             pointBackgroundColor: "#f97316",
             pointHoverRadius: 5,
             order: 1
+          },
+          {
+            label: `Avg. sentiment (${granularity?.movingAverageWindow || 0}-${unit} moving)`,
+            data: movingAverage,
+            yAxisID: "y1",
+            borderColor: "#6366f1",
+            backgroundColor: "#6366f1",
+            borderDash: [4, 3],
+            fill: false,
+            spanGaps: true,
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            order: 0
           }
         ]
       },
@@ -643,9 +1449,8 @@ const renderTimelineChart = () => {
         interaction: { mode: "index", intersect: false },
         scales: {
           x: {
-            title: { display: true, text: "Video Progress (time)" },
+            title: { display: true, text: `Comment posted (per ${unit})` },
             ticks: {
-              callback: val => formatTime(labels[val]) || "",
               autoSkip: true,
               maxTicksLimit: 10
             },
@@ -656,12 +1461,19 @@ const renderTimelineChart = () => {
             title: { display: true, text: "Number of Comments" },
             beginAtZero: true,
             grid: { color: "rgba(0,0,0,0.05)" }
+          },
+          y1: {
+            position: "right",
+            min: -1,
+            max: 1,
+            title: { display: true, text: "Avg. sentiment score" },
+            grid: { drawOnChartArea: false }
           }
         },
         plugins: {
           title: {
             display: true,
-            text: "📈 Smooth Sentiment Timeline",
+            text: "📈 Sentiment Over Time",
             color: "#111",
             font: { size: 18, weight: "bold" },
             padding: { bottom: 10 }
@@ -682,8 +1494,11 @@ const renderTimelineChart = () => {
             borderColor: "#333",
             borderWidth: 1,
             callbacks: {
-              title: (items) => `⏱ ${formatTime(labels[items[0].dataIndex])}`,
+              title: (items) => `📅 ${labels[items[0].dataIndex]}`,
               label: (item) => {
+                if (item.dataset.yAxisID === "y1") {
+                  return item.parsed.y == null ? null : `${item.dataset.label}: ${item.parsed.y.toFixed(2)}`;
+                }
                 const total =
                   positives[item.dataIndex] +
                   neutrals[item.dataIndex] +
@@ -694,12 +1509,14 @@ const renderTimelineChart = () => {
                 return `${item.dataset.label}: ${item.parsed.y} (${percent}%)`;
               }
             }
-          }
+          },
+          publishDateLine: { index: publishIndex }
         },
         elements: {
           line: { tension: 0.4 } // adds slight smoothness on top
         }
-      }
+      },
+      plugins: [publishDateLinePlugin]
     });
 
     logInfo("✅ Smooth stacked Timeline Chart rendered successfully.");
@@ -717,6 +1534,104 @@ const renderTimelineChart = () => {
 
 
 
+// ===== Render Playback Timeline Chart =====
+// Jump the YouTube player in the active tab to `seconds`. Falls back to opening the video at
+// that time when the active tab isn't showing it (or has no content script).
+const seekVideo = (seconds) => {
+  const videoId = currentVideoId;
+  const openAt = () => chrome.tabs.create({ url: `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(seconds)}s` });
+
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const tab = tabs[0];
+    if (!tab?.id) return openAt();
+    chrome.tabs.sendMessage(tab.id, { action: "seekTo", videoId, seconds }, (resp) => {
+      if (chrome.runtime.lastError || !resp?.seeked) {
+        logInfo("Active tab could not seek; opening the video instead.", chrome.runtime.lastError?.message);
+        openAt();
+      } else {
+        logInfo(`Seeked active tab to ${formatVideoPosition(seconds)}.`);
+      }
+    });
+  });
+};
+
+const renderPlaybackTimelineChart = () => {
+  logInfo("Starting render for Playback Timeline Chart...");
+  try {
+    const { bucketSize, buckets, totalRefs } = processPlaybackTimelineData();
+
+    const note = document.getElementById("playback-timeline-note");
+    if (note) {
+      note.textContent = totalRefs
+        ? `${totalRefs} timestamp references · ${formatVideoPosition(bucketSize)} buckets · click a bar to jump there`
+        : "No comments reference a moment in the video (e.g. \"3:45\").";
+    }
+
+    const ctx = safeGetContext("playback-timeline-chart");
+    if (!ctx) {
+      logInfo("Canvas context not found for 'playback-timeline-chart'. Skipping render.");
+      return;
+    }
+
+    if (playbackTimelineChart) {
+      logInfo("Destroying existing Playback Timeline Chart instance...");
+      playbackTimelineChart.destroy();
+    }
+
+    const labels = buckets.map(b => formatVideoPosition(b.start));
+
+    playbackTimelineChart = new Chart(ctx, {
+      type: "bar",
+      data: {
+        labels,
+        datasets: [
+          { label: "Positive", data: buckets.map(b => b.positive), backgroundColor: "#4ade80", stack: "moment" },
+          { label: "Neutral", data: buckets.map(b => b.neutral), backgroundColor: "#facc15", stack: "moment" },
+          { label: "Negative", data: buckets.map(b => b.negative), backgroundColor: "#f87171", stack: "moment" }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: "index", intersect: false },
+        scales: {
+          x: {
+            stacked: true,
+            title: { display: true, text: "Video position" },
+            ticks: { autoSkip: true, maxTicksLimit: 12 }
+          },
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            title: { display: true, text: "Timestamp mentions" },
+            ticks: { precision: 0 }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              title: (items) => `⏱ ${labels[items[0].dataIndex]} – ${formatVideoPosition(buckets[items[0].dataIndex].start + bucketSize)}`
+            }
+          }
+        },
+        onClick: (event, elements) => {
+          if (!elements.length) return;
+          seekVideo(buckets[elements[0].index].start);
+        },
+        onHover: (event, elements) => {
+          event.native.target.style.cursor = elements.length ? "pointer" : "default";
+        }
+      }
+    });
+
+    logInfo("✅ Playback Timeline Chart rendered successfully.");
+  } catch (error) {
+    logError("Failed to render Playback Timeline Chart.", error);
+  }
+};
+
+
+
 // ===== Render Topic Sentiment Chart =====
 const renderTopicSentimentChart = () => {
   logInfo("Starting render for Topic Sentiment Chart...");
@@ -749,7 +1664,15 @@ const renderTopicSentimentChart = () => {
         indexAxis: "y",
         responsive: true,
         maintainAspectRatio: false,
-        scales: { x: { stacked: true }, y: { stacked: true } }
+        scales: { x: { stacked: true }, y: { stacked: true } },
+        // Clicking a topic toggles it as the topic filter
+        onClick: (evt, elements) => {
+          if (!elements.length) return;
+          const topic = data[elements[0].index].topic;
+          selectedTopic = selectedTopic === topic ? null : topic;
+          logInfo(`Topic filter: ${selectedTopic || "none"}`);
+          renderDashboard();
+        }
       }
     });
 
@@ -761,11 +1684,110 @@ const renderTopicSentimentChart = () => {
 
 
 
+// ===== Render Score Histogram =====
+const renderScoreHistogramChart = () => {
+  logInfo("Starting render for Score Histogram...");
+  try {
+    const ctx = safeGetContext("score-histogram-chart");
+    if (!ctx) {
+      logInfo("Canvas context not found for 'score-histogram-chart'. Skipping render.");
+      return;
+    }
+
+    const comments = getFilteredComments();
+    const { bins, scored } = processScoreHistogramData(comments);
+    const note = document.getElementById("score-histogram-note");
+    if (note) {
+      note.textContent = !scored
+        ? "This analysis has no numeric scores."
+        : scored < comments.length
+          ? `${scored.toLocaleString()} of ${comments.length.toLocaleString()} comments have a score.`
+          : "";
+    }
+
+    if (scoreHistogramChart) scoreHistogramChart.destroy();
+
+    scoreHistogramChart = new Chart(ctx, {
+      type: "bar",
+      data: {
+        labels: bins.map(b => `${b.from.toFixed(1)} – ${b.to.toFixed(1)}`),
+        datasets: [{
+          label: "Comments",
+          data: bins.map(b => b.count),
+          backgroundColor: bins.map(b => {
+            const mid = (b.from + b.to) / 2;
+            return Math.abs(mid) <= 0.05 ? "#facc15" : mid > 0 ? "#4ade80" : "#f87171";
+          }),
+          borderRadius: 4,
+          barPercentage: 1,
+          categoryPercentage: 0.95
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: { legend: { display: false } },
+        scales: {
+          x: { title: { display: true, text: "Score (-1 negative … +1 positive)" }, ticks: { maxRotation: 0, autoSkip: true, maxTicksLimit: 5 } },
+          y: { beginAtZero: true, ticks: { precision: 0 } }
+        }
+      }
+    });
+
+    logInfo("✅ Score Histogram rendered successfully.");
+  } catch (error) {
+    logError("Failed to render Score Histogram.", error);
+  }
+};
+
+// ===== Render Low-Confidence Comments =====
+const LOW_CONFIDENCE_SHOWN = 15;
+
+const renderLowConfidenceList = () => {
+  const container = document.getElementById("low-confidence-container");
+  const summary = document.getElementById("low-confidence-summary");
+  if (!container) return;
+  container.innerHTML = "";
+
+  const rated = getFilteredComments().filter(c => c.confidence !== null).sort((a, b) => a.confidence - b.confidence);
+  const below = rated.filter(isLowConfidence);
+  // With the threshold off, show the least confident labels so there's still something to review
+  const shown = (confidenceThreshold ? below : rated).slice(0, LOW_CONFIDENCE_SHOWN);
+
+  if (summary) {
+    summary.textContent = !rated.length
+      ? "This analysis has no confidence values."
+      : confidenceThreshold
+        ? `${below.length.toLocaleString()} comments below ${confidenceThreshold.toFixed(2)} confidence count as neutral.`
+        : "The least confident labels. Raise the minimum confidence to count them as neutral.";
+  }
+
+  shown.forEach(c => {
+    const div = document.createElement("div");
+    div.className = "comments-list-item" + (c.isReply ? " reply" : "");
+    div.innerHTML = `
+      <div class="author">
+        <span class="author-name"></span>
+        <span class="comment-badge">confidence ${c.confidence.toFixed(2)}</span>
+      </div>
+      <p class="text">${c.text}</p>
+      <div class="meta">
+        <span>Analyzer said: ${c.modelSentiment} (${c.modelStrength})</span>
+        ${c.score !== null ? `<span>Score: ${c.score.toFixed(2)}</span>` : ""}
+        <span>Topic: ${c.topic}</span>
+      </div>
+    `;
+    div.querySelector(".author-name").textContent = c.author || "Unknown author";
+    container.appendChild(div);
+  });
+};
+
 // ===== Render Word Cloud =====
 const renderWordCloud = () => {
   logInfo("Starting render for Word Cloud...");
   try {
     const container = document.getElementById("word-cloud-container");
+    if (!container) return;
     container.innerHTML = "";
 
     const words = processWordCloudData();
@@ -800,6 +1822,7 @@ const renderEmojiAnalysis = () => {
   logInfo("Starting render for Emoji Analysis...");
   try {
     const container = document.getElementById("emoji-analysis-container");
+    if (!container) return;
     container.innerHTML = "";
 
     const emojis = processEmojiData();
@@ -821,31 +1844,40 @@ const renderEmojiAnalysis = () => {
 
 
 // ===== Render Top Comments =====
+// Ranked by like count (ties keep the stored order)
 const renderTopComments = () => {
   logInfo("Starting render for Top Comments...");
   try {
     const container = document.getElementById("top-comments-container");
+    if (!container) return;
     container.innerHTML = "";
 
     if (!Array.isArray(commentsData)) {
       throw new Error("commentsData is not an array or not loaded yet.");
     }
 
-    const topComments = commentsData.slice(0, 10);
+    const topComments = getFilteredComments().sort((a, b) => b.likeCount - a.likeCount).slice(0, 10);
     logDebug("Top 10 comments to render:", topComments);
 
     topComments.forEach(c => {
-      const ts = formatTime(c.timestamp);
+      const ts = formatCommentDate(c.timestamp);
       const div = document.createElement("div");
-      div.className = "comments-list-item";
+      div.className = "comments-list-item" + (c.isReply ? " reply" : "");
       div.innerHTML = `
+        <div class="author">
+          <span class="author-name"></span>
+          ${c.isReply ? '<span class="comment-badge">↳ reply</span>' : ''}
+          ${c.edited ? '<span class="comment-badge">edited</span>' : ''}
+        </div>
         <p class="text">${c.text}</p>
         <div class="meta">
-          <span>Time: ${ts}</span>
+          <span>👍 ${c.likeCount.toLocaleString()}</span>
+          <span>Posted: ${ts}</span>
           <span>${c.sentiment} (${c.strength})</span>
           <span>Topic: ${c.topic}</span>
         </div>
       `;
+      div.querySelector(".author-name").textContent = c.author || "Unknown author";
       container.appendChild(div);
     });
 
@@ -857,6 +1889,499 @@ const renderTopComments = () => {
 
 
 
+// ===== Render Threaded Conversations =====
+const MAX_THREADS_SHOWN = 30;
+
+const threadCommentHtml = (c) => `
+  <div class="thread-comment ${c.sentiment}">
+    <div class="author"><span class="author-name"></span><span class="comment-badge">${c.sentiment}</span></div>
+    <p class="text">${c.text}</p>
+    <div class="meta"><span>👍 ${c.likeCount.toLocaleString()}</span><span>${formatCommentDate(c.timestamp)}</span></div>
+  </div>
+`;
+
+const renderThreadView = () => {
+  logInfo("Starting render for Threaded Conversations...");
+  try {
+    const container = document.getElementById("thread-view-container");
+    if (!container) return;
+    container.innerHTML = "";
+
+    const allThreads = processThreadData();
+    const threads = (showArgumentsOnly ? allThreads.filter(t => t.isArgument) : allThreads).slice(0, MAX_THREADS_SHOWN);
+
+    const argumentCount = allThreads.filter(t => t.isArgument).length;
+    const summary = document.getElementById("thread-view-summary");
+    if (summary) summary.textContent = `${allThreads.length} threads with replies · ${argumentCount} flagged as arguments`;
+
+    if (!threads.length) {
+      container.innerHTML = `<p class="thread-empty">${showArgumentsOnly ? "No arguments detected." : "No replies in this analysis."}</p>`;
+      return;
+    }
+
+    threads.forEach(t => {
+      const dominant = Object.entries(t.counts).sort(([, a], [, b]) => b - a)[0][0];
+      const details = document.createElement("details");
+      details.className = `thread ${dominant}` + (t.isArgument ? " argument" : "");
+      details.innerHTML = `
+        <summary>
+          <span class="thread-preview"></span>
+          <span class="thread-stats">
+            ${t.isArgument ? '<span class="comment-badge argument-badge">⚔️ argument</span>' : ''}
+            <span class="comment-badge">${t.replyCount} repl${t.replyCount === 1 ? "y" : "ies"}</span>
+            <span class="comment-badge ${dominant}">avg ${t.score >= 0 ? "+" : ""}${t.score.toFixed(2)}</span>
+            <span class="thread-mix">👍 ${t.counts.positive} · 😐 ${t.counts.neutral} · 👎 ${t.counts.negative}</span>
+          </span>
+        </summary>
+        <div class="thread-body"></div>
+      `;
+      details.querySelector(".thread-preview").textContent =
+        t.parent ? `${t.parent.author || "Unknown"}: ${t.parent.text.replace(/<[^>]*>/g, "").slice(0, 120)}` : "(original comment unavailable)";
+
+      // Replies are only rendered when the thread is first expanded
+      details.addEventListener("toggle", () => {
+        const body = details.querySelector(".thread-body");
+        if (!details.open || body.childElementCount) return;
+        const ordered = t.parent ? [t.parent, ...t.replies] : t.replies;
+        body.innerHTML = ordered.map(threadCommentHtml).join("");
+        body.querySelectorAll(".author-name").forEach((el, i) => {
+          el.textContent = ordered[i].author || "Unknown author";
+        });
+        body.querySelectorAll(".thread-comment").forEach((el, i) => {
+          if (t.parent && i > 0) el.classList.add("reply");
+        });
+      });
+
+      container.appendChild(details);
+    });
+
+    logInfo(`✅ Threaded Conversations rendered with ${threads.length} threads.`);
+  } catch (error) {
+    logError("Failed to render Threaded Conversations.", error);
+  }
+};
+
+
+
+// ===== Filter Controls =====
+const renderFilterControls = () => {
+  const slider = document.getElementById("confidence-threshold");
+  if (slider) {
+    const hasConfidence = commentsData.some(c => c.confidence !== null);
+    slider.disabled = !hasConfidence;
+    slider.title = hasConfidence ? "" : "This analysis has no confidence values";
+    slider.value = String(confidenceThreshold);
+    document.getElementById("confidence-threshold-value").textContent = confidenceThreshold ? confidenceThreshold.toFixed(2) : "off";
+  }
+
+  const select = document.getElementById("topic-filter");
+  if (select) {
+    const topics = [...new Set(commentsData.map(c => c.topic))].sort();
+    if (selectedTopic && !topics.includes(selectedTopic)) selectedTopic = null;
+    select.innerHTML = "";
+    ["", ...topics].forEach(topic => {
+      const option = document.createElement("option");
+      option.value = topic;
+      option.textContent = topic || "All topics";
+      select.appendChild(option);
+    });
+    select.value = selectedTopic || "";
+  }
+
+  const summary = document.getElementById("filter-summary");
+  if (summary) {
+    const active = [selectedSentiment, selectedTopic].filter(Boolean);
+    summary.textContent = active.length
+      ? `Filtered to ${active.join(" · ")}: ${getFilteredComments().length} of ${commentsData.length} comments`
+      : "";
+  }
+};
+
+
+
+// ===== Export =====
+// Per-comment rows and the aggregate tables, computed from the filtered comments.
+// The BOM makes Excel open the CSVs as UTF-8 (emoji, non-Latin comments)
+const CSV_BOM = "\uFEFF";
+const EXPORT_COMMENT_COLUMNS = ["id", "author", "text", "sentiment", "strength", "score", "confidence", "modelSentiment", "modelStrength", "topic", "emojis", "likes", "timestamp"];
+
+// Comment text is YouTube's textDisplay HTML; exports and the report carry it as plain text
+// (tags stripped, entities decoded, <br> kept as a line break)
+const plainText = (html) =>
+  new DOMParser().parseFromString(String(html || "").replace(/<br\s*\/?>/gi, "\n"), "text/html").body.textContent || "";
+
+const exportCommentRow = (c) => ({
+  id: c.id,
+  author: c.author,
+  text: plainText(c.text),
+  sentiment: c.sentiment,
+  strength: c.strength,
+  score: c.score,
+  confidence: c.confidence,
+  modelSentiment: c.modelSentiment,
+  modelStrength: c.modelStrength,
+  topic: c.topic,
+  emojis: c.emojis.join(" "),
+  likes: c.likeCount,
+  timestamp: toDateFromAny(c.timestamp)?.toISOString() || ""
+});
+
+// Quote per RFC 4180, and defuse text cells a spreadsheet would evaluate as a formula. Numbers
+// (negative scores) are left alone so they stay numeric.
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(csvCell).join(",")).join("\r\n");
+
+const buildExportTables = (comments) => {
+  const counts = getSentimentCounts(comments);
+  const total = comments.length || 1;
+  return {
+    sentiment: Object.entries(counts).map(([sentiment, count]) => ({ sentiment, count, share: +(count / total).toFixed(4) })),
+    topics: processTopicSentimentData(comments).map(t => ({ ...t, total: t.positive + t.neutral + t.negative })),
+    emojis: processEmojiData(comments, Infinity).map(([emoji, count]) => ({ emoji, count }))
+  };
+};
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const exportData = (format) => {
+  if (!commentsData.length) {
+    logInfo("Nothing to export yet.");
+    return;
+  }
+
+  const comments = getFilteredComments();
+  const tables = buildExportTables(comments);
+  const suffix = [selectedSentiment, selectedTopic].filter(Boolean).map(f => `-${f.replace(/[^\w-]+/g, "_")}`).join("");
+  const base = `${currentVideoId}${suffix}`;
+
+  if (format === "comments-csv") {
+    const rows = comments.map(exportCommentRow).map(r => EXPORT_COMMENT_COLUMNS.map(col => r[col]));
+    downloadFile(`${base}-comments.csv`, CSV_BOM + toCsv([EXPORT_COMMENT_COLUMNS, ...rows]), "text/csv;charset=utf-8");
+  } else if (format === "summary-csv") {
+    // One file, one block per table, separated by a blank row
+    const blocks = [
+      [["Sentiment", "Count", "Share"], ...tables.sentiment.map(r => [r.sentiment, r.count, r.share])],
+      [["Topic", "Positive", "Neutral", "Negative", "Total"], ...tables.topics.map(r => [r.topic, r.positive, r.neutral, r.negative, r.total])],
+      [["Emoji", "Count"], ...tables.emojis.map(r => [r.emoji, r.count])]
+    ];
+    downloadFile(`${base}-summary.csv`, CSV_BOM + blocks.map(toCsv).join("\r\n\r\n"), "text/csv;charset=utf-8");
+  } else if (format === "json") {
+    const payload = {
+      video: currentVideoMeta,
+      exportedAt: new Date().toISOString(),
+      filters: { sentiment: selectedSentiment, topic: selectedTopic },
+      comments: comments.map(exportCommentRow),
+      ...tables
+    };
+    downloadFile(`${base}-analysis.json`, JSON.stringify(payload, null, 2), "application/json");
+  }
+  logInfo(`Exported ${comments.length} comments as ${format}.`);
+};
+
+
+
+// ===== Chart Toolbars =====
+// Every chart card gets: high-DPI PNG download, copy (image, or TSV in table view) and a chart/table toggle.
+const CHART_EXPORTS = [
+  { canvasId: "timeline-chart", name: "sentiment-over-time", chart: () => timelineChart },
+  { canvasId: "playback-timeline-chart", name: "sentiment-by-video-moment", chart: () => playbackTimelineChart },
+  { canvasId: "overall-sentiment-chart", name: "overall-sentiment", chart: () => overallSentimentChart },
+  { canvasId: "topic-sentiment-chart", name: "topic-sentiment", chart: () => topicSentimentChart },
+  { canvasId: "strength-chart", name: "sentiment-strength", chart: () => sentimentStrengthChart },
+  { canvasId: "score-histogram-chart", name: "score-distribution", chart: () => scoreHistogramChart }
+];
+const CHART_IMAGE_SCALE = 3;
+
+// Redraw at CHART_IMAGE_SCALE device pixels per CSS pixel onto a white background, then restore
+const renderChartImage = (chart) => {
+  const originalRatio = chart.options.devicePixelRatio;
+  chart.stop();
+  chart.options.devicePixelRatio = CHART_IMAGE_SCALE;
+  chart.resize();
+  chart.update("none");
+
+  const canvas = document.createElement("canvas");
+  canvas.width = chart.canvas.width;
+  canvas.height = chart.canvas.height;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(chart.canvas, 0, 0);
+
+  chart.options.devicePixelRatio = originalRatio;
+  chart.resize();
+  chart.update("none");
+  return new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+};
+
+// Labels x datasets; point datasets ({x, y}) contribute their y value
+const chartToTable = (chart) => {
+  const datasets = chart.data.datasets;
+  const cell = (v) => {
+    const n = typeof v === "object" && v !== null ? v.y : v;
+    return typeof n === "number" ? +n.toFixed(3) : (n ?? "");
+  };
+  return {
+    headers: ["", ...datasets.map(d => d.label || "Value")],
+    rows: (chart.data.labels || []).map((label, i) => [
+      Array.isArray(label) ? label.join(" ") : label,
+      ...datasets.map(d => cell(d.data[i]))
+    ])
+  };
+};
+
+const renderChartTable = (host, chart) => {
+  const { headers, rows } = chartToTable(chart);
+  let table = host.querySelector(".chart-data-table");
+  if (!table) {
+    table = document.createElement("table");
+    table.className = "chart-data-table";
+    host.appendChild(table);
+  }
+  table.innerHTML = "";
+  const head = table.createTHead().insertRow();
+  headers.forEach(h => {
+    const th = document.createElement("th");
+    th.textContent = h;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach(r => {
+    const tr = body.insertRow();
+    r.forEach(v => { tr.insertCell().textContent = v; });
+  });
+};
+
+const setChartView = (host, canvas, chart, view) => {
+  host.dataset.chartView = view;
+  (canvas.closest(".chart-container") || canvas).style.display = view === "table" ? "none" : "";
+  if (view === "table") renderChartTable(host, chart);
+  else host.querySelector(".chart-data-table")?.remove();
+  const toggle = host.querySelector(".chart-tool-table");
+  toggle.setAttribute("aria-pressed", String(view === "table"));
+  toggle.textContent = view === "table" ? "📈 Chart" : "▦ Table";
+};
+
+const flashToolLabel = (btn, text) => {
+  const label = btn.textContent;
+  btn.textContent = text;
+  setTimeout(() => { btn.textContent = label; }, 1500);
+};
+
+const makeToolButton = (className, label, title, onClick) => {
+  const btn = document.createElement("button");
+  btn.className = `chart-tool ${className}`;
+  btn.textContent = label;
+  btn.title = title;
+  btn.onclick = async () => {
+    try {
+      await onClick(btn);
+    } catch (err) {
+      logError(`Chart tool "${title}" failed:`, err);
+      flashToolLabel(btn, "⚠️ Failed");
+    }
+  };
+  return btn;
+};
+
+const renderChartToolbars = () => {
+  CHART_EXPORTS.forEach(({ canvasId, name, chart: getChart }) => {
+    const canvas = document.getElementById(canvasId);
+    const chart = getChart();
+    if (!canvas || !chart || chart.canvas !== canvas) return;
+    const host = canvas.closest(".section-card, .breakdown-chart-container");
+    if (!host) return;
+
+    // Already wired: only keep an open data table in step with the new data
+    if (host.querySelector(".chart-toolbar")) {
+      if (host.dataset.chartView === "table") renderChartTable(host, chart);
+      return;
+    }
+
+    const toolbar = document.createElement("div");
+    toolbar.className = "chart-toolbar";
+    toolbar.append(
+      makeToolButton("chart-tool-png", "⬇ PNG", "Download as a high-resolution PNG", async () => {
+        downloadFile(`${currentVideoId}-${name}.png`, await renderChartImage(getChart()), "image/png");
+      }),
+      makeToolButton("chart-tool-copy", "📋 Copy", "Copy the chart image (or the table as text) to the clipboard", async (btn) => {
+        if (host.dataset.chartView === "table") {
+          const { headers, rows } = chartToTable(getChart());
+          await navigator.clipboard.writeText([headers, ...rows].map(r => r.join("\t")).join("\n"));
+        } else {
+          await navigator.clipboard.write([new ClipboardItem({ "image/png": renderChartImage(getChart()) })]);
+        }
+        flashToolLabel(btn, "✅ Copied");
+      }),
+      makeToolButton("chart-tool-table", "▦ Table", "Switch between the chart and its data table", () => {
+        setChartView(host, canvas, getChart(), host.dataset.chartView === "table" ? "chart" : "table");
+      })
+    );
+    host.classList.add("has-chart-toolbar");
+    host.insertBefore(toolbar, host.firstChild);
+  });
+};
+
+
+
+// ===== Shareable Report =====
+// A single offline HTML file (charts inlined as PNG data URLs, no scripts, no CDN) that prints cleanly to PDF.
+const REPORT_CHARTS = [
+  { title: "Overall Sentiment Distribution", chart: () => overallSentimentChart },
+  { title: "Sentiment Over Time (by post date)", chart: () => timelineChart },
+  { title: "Topic-Based Sentiment", chart: () => topicSentimentChart }
+];
+const REPORT_COMMENTS_PER_SENTIMENT = 3;
+const REPORT_KEYWORDS = 15;
+
+const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, ch => (
+  { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]
+));
+
+// Finish any running animation first so the image isn't captured mid-transition
+const captureChartImage = (chart) => {
+  if (!chart) return null;
+  chart.stop();
+  chart.update("none");
+  return chart.toBase64Image("image/png", 1);
+};
+
+// Strong, then most-liked comments of one sentiment
+const pickRepresentativeComments = (sentiment) => commentsData
+  .filter(c => c.sentiment === sentiment)
+  .sort((a, b) => (b.strength === "strong") - (a.strength === "strong") || b.likeCount - a.likeCount)
+  .slice(0, REPORT_COMMENTS_PER_SENTIMENT);
+
+const buildReportHtml = () => {
+  const meta = currentVideoMeta || {};
+  const counts = getSentimentCounts();
+  const total = commentsData.length || 1;
+  const pct = (n) => `${(n / total * 100).toFixed(1)}%`;
+  const netScore = commentsData.reduce((sum, c) => sum + (SENTIMENT_SCORE[c.sentiment] || 0), 0) / total;
+  const topTopic = processTopicSentimentData()
+    .map(t => ({ topic: t.topic, count: t.positive + t.neutral + t.negative }))
+    .sort((a, b) => b.count - a.count)[0];
+  const replies = commentsData.filter(c => c.isReply).length;
+  const average = averageScore();
+
+  const headline = [
+    ["Comments analyzed", commentsData.length.toLocaleString()],
+    ["Positive", pct(counts.positive)],
+    ["Neutral", pct(counts.neutral)],
+    ["Negative", pct(counts.negative)],
+    ["Net sentiment (−1 … +1)", `${netScore >= 0 ? "+" : ""}${netScore.toFixed(2)}`],
+    ...(average ? [["Average score (−1 … +1)", `${average.mean > 0 ? "+" : ""}${average.mean.toFixed(2)}`]] : []),
+    ["Replies", replies.toLocaleString()],
+    ["Most discussed topic", topTopic ? `${topTopic.topic} (${topTopic.count})` : "–"]
+  ];
+
+  const details = [
+    meta.channel && `Channel: ${meta.channel}`,
+    meta.publishedAt && `Published ${new Date(meta.publishedAt).toLocaleDateString()}`,
+    meta.durationSeconds && `Length ${formatVideoPosition(meta.durationSeconds)}`,
+    meta.commentCount && `${meta.commentCount.toLocaleString()} comments on YouTube`,
+    meta.fetchedAt && `Analyzed ${new Date(meta.fetchedAt).toLocaleString()}`
+  ].filter(Boolean);
+
+  const charts = REPORT_CHARTS
+    .map(({ title, chart }) => ({ title, src: captureChartImage(chart()) }))
+    .filter(c => c.src);
+
+  const keywords = processWordCloudData().slice(0, REPORT_KEYWORDS);
+
+  const commentList = (sentiment) => pickRepresentativeComments(sentiment).map(c => `
+      <blockquote class="${sentiment}">
+        <p>${escapeHtml(plainText(c.text))}</p>
+        <footer>${escapeHtml(c.author || "Anonymous")} · 👍 ${c.likeCount.toLocaleString()} · ${escapeHtml(c.topic)}${c.strength === "strong" ? " · strong" : ""}</footer>
+      </blockquote>`).join("") || '<p class="muted">None.</p>';
+
+  const title = meta.title || currentVideoId;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Comment report – ${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111827; max-width: 960px; margin: 2rem auto; padding: 0 1.5rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.125rem; margin: 2rem 0 0.75rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+  a { color: #2563eb; }
+  .muted { color: #6b7280; font-size: 0.875rem; }
+  .kpis { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 0.75rem; }
+  .kpi { border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 0.75rem; }
+  .kpi span { display: block; font-size: 0.75rem; color: #6b7280; }
+  .kpi strong { font-size: 1.25rem; }
+  figure { margin: 0 0 1.5rem; break-inside: avoid; }
+  figure img { max-width: 100%; border: 1px solid #e5e7eb; border-radius: 0.5rem; }
+  figcaption { font-weight: 600; margin-bottom: 0.5rem; }
+  .keywords { display: flex; flex-wrap: wrap; gap: 0.5rem; padding: 0; list-style: none; }
+  .keywords li { background: #eef2ff; color: #3730a3; border-radius: 999px; padding: 0.125rem 0.75rem; font-size: 0.875rem; }
+  .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 1.5rem; }
+  blockquote { margin: 0 0 0.75rem; padding: 0.5rem 0.75rem; border-left: 4px solid; background: #f9fafb; break-inside: avoid; }
+  blockquote.positive { border-color: #22c55e; }
+  blockquote.negative { border-color: #ef4444; }
+  blockquote p { margin: 0 0 0.25rem; white-space: pre-wrap; }
+  blockquote footer { font-size: 0.75rem; color: #6b7280; }
+  @media print { body { margin: 0; } a { color: inherit; text-decoration: none; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="muted">${escapeHtml(details.join(" · "))}<br>
+    <a href="https://www.youtube.com/watch?v=${encodeURIComponent(currentVideoId)}">youtube.com/watch?v=${escapeHtml(currentVideoId)}</a></p>
+
+  <h2>Headline numbers</h2>
+  <div class="kpis">
+    ${headline.map(([label, value]) => `<div class="kpi"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join("\n    ")}
+  </div>
+
+  <h2>Charts</h2>
+  ${charts.map(c => `<figure><figcaption>${escapeHtml(c.title)}</figcaption><img src="${c.src}" alt="${escapeHtml(c.title)}"></figure>`).join("\n  ") || '<p class="muted">No charts were rendered.</p>'}
+
+  <h2>Top keywords</h2>
+  <ul class="keywords">${keywords.map(k => `<li>${escapeHtml(k.word)} (${k.count})</li>`).join("")}</ul>
+
+  <h2>Representative comments</h2>
+  <div class="columns">
+    <section><h3>Positive</h3>${commentList("positive")}</section>
+    <section><h3>Negative</h3>${commentList("negative")}</section>
+  </div>
+
+  <p class="muted">Generated ${escapeHtml(new Date().toLocaleString())} by YouTube Comment Analyzer. Print this page to save it as PDF.</p>
+</body>
+</html>`;
+};
+
+const generateReport = () => {
+  if (!commentsData.length) {
+    logInfo("Nothing to report yet.");
+    return;
+  }
+  // The popup only draws the distribution chart; the dashboard has every chart and builds the report there
+  if (!IS_DASHBOARD_PAGE && !IS_SIDE_PANEL) {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`dashboard.html?videoId=${encodeURIComponent(currentVideoId)}&report=1`) });
+    return;
+  }
+  downloadFile(`${currentVideoId}-report.html`, buildReportHtml(), "text/html;charset=utf-8");
+  logInfo(`Generated report for ${currentVideoId}.`);
+};
+
+
+
 // ===== MAIN RENDER DASHBOARD =====
 const renderDashboard = () => {
   logInfo("🎯 Starting full dashboard render...");
@@ -865,10 +2390,21 @@ const renderDashboard = () => {
       throw new Error("commentsData is undefined or not loaded yet.");
     }
 
-    document.getElementById("total-comments-count").textContent = commentsData.length;
+    const totalEl = document.getElementById("total-comments-count");
+    if (totalEl) totalEl.textContent = commentsData.length;
     logDebug(`Total comments count updated: ${commentsData.length}`);
 
+    const averageEl = document.getElementById("average-score");
+    if (averageEl) {
+      const average = averageScore();
+      averageEl.textContent = average ? `${average.mean > 0 ? "+" : ""}${average.mean.toFixed(2)}` : "–";
+      averageEl.title = average
+        ? `Mean of ${average.count.toLocaleString()} analyzer scores, from -1 (negative) to +1 (positive)`
+        : "This analysis has no numeric scores";
+    }
+
     renderSentimentCards();
+    renderFilterControls();
     if (selectedSentiment) {
       logInfo(`Rendering Detailed Breakdown for selected sentiment: ${selectedSentiment}`);
       renderDetailedBreakdown();
@@ -876,10 +2412,15 @@ const renderDashboard = () => {
 
     renderOverallSentimentChart();
     renderTimelineChart();
+    renderPlaybackTimelineChart();
     renderTopicSentimentChart();
+    renderScoreHistogramChart();
     renderWordCloud();
     renderEmojiAnalysis();
     renderTopComments();
+    renderLowConfidenceList();
+    renderThreadView();
+    renderChartToolbars();
 
     logInfo("✅ Dashboard rendered successfully.");
   } catch (error) {
@@ -0,0 +1,109 @@
+// ===================== settings.js ===================== //
+// Shared settings store. Loaded by the service worker (importScripts) and by the
+// extension pages via <script>, so everything here must stay DOM- and window-free.
+
+const BACKEND_PRESETS = Object.freeze({
+    hosted: "https://youtube-analyzer-backend-03m2.onrender.com",
+    local: "http://127.0.0.1:8000",
+});
+
+// Which analyzer scores the comments; background.js has the adapter behind each id
+const ANALYZER_ADAPTERS = Object.freeze({
+    BACKEND: "backend", // FastAPI-style POST <base>/analyze
+    OPENAI: "openai", // any OpenAI-compatible /chat/completions endpoint
+    LOCAL: "local", // bundled offline scorer (local_sentiment.js)
+});
+
+// When a page visit (rather than a click) starts an analysis
+const AUTO_ANALYZE_MODES = Object.freeze({
+    MANUAL: "manual",
+    CHANNELS: "channels",
+    MIN_COMMENTS: "minComments",
+    ALWAYS: "always",
+});
+
+const DEFAULT_SETTINGS = Object.freeze({
+    analyzerAdapter: ANALYZER_ADAPTERS.BACKEND,
+
+    // Analysis backend
+    backendBaseUrl: BACKEND_PRESETS.hosted,
+    backendAuthHeaderName: "Authorization",
+    backendAuthHeaderValue: "",
+    backendTimeoutMs: 120000,
+    // Comments per POST /analyze, and how many of those requests may run at once
+    analyzeChunkSize: 500,
+    analyzeConcurrency: 2,
+    // Use the bundled scorer when the analyzer is down or a request fails, instead of failing the run
+    localAnalysisFallback: true,
+
+    // OpenAI-compatible chat endpoint (OpenAI, llama.cpp server, Ollama, vLLM, ...)
+    openaiBaseUrl: "http://127.0.0.1:8080/v1",
+    openaiApiKey: "",
+    openaiModel: "",
+    // Chat prompts hold far fewer comments than an /analyze request
+    openaiBatchSize: 25,
+
+    // Reuse a stored analysis younger than this instead of re-fetching
+    cacheTtlMinutes: 60,
+    // Re-analysis of a stored video only fetches comments newer than the stored ones
+    incrementalSync: true,
+
+    // Per-video history eviction
+    historyMaxAgeDays: 30,
+    historyMaxEntries: 25,
+    historyMaxBytes: 7 * 1024 * 1024,
+
+    // Auto-analysis on page visits; manual means only the in-page button or the popup start one
+    autoAnalyzeMode: AUTO_ANALYZE_MODES.MANUAL,
+    // Channel IDs (UC...) or exact channel names, for the "channels" mode
+    autoAnalyzeChannels: [],
+    // Comment count a video needs for the "minComments" mode
+    autoAnalyzeMinComments: 500,
+});
+
+function loadSettings() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get("settings", (items) => {
+            resolve({ ...DEFAULT_SETTINGS, ...(items?.settings || {}) });
+        });
+    });
+}
+
+async function saveSettings(patch) {
+    const next = { ...(await loadSettings()), ...patch };
+    await new Promise((resolve) => chrome.storage.local.set({ settings: next }, resolve));
+    return next;
+}
+
+// Join the configured base URL with an API path ("/analyze", "/health")
+function backendUrl(settings, path) {
+    return `${String(settings.backendBaseUrl || "").replace(/\/+$/, "")}${path}`;
+}
+
+// Same for the OpenAI-compatible endpoint ("/chat/completions", "/models")
+function openaiUrl(settings, path) {
+    return `${String(settings.openaiBaseUrl || "").replace(/\/+$/, "")}${path}`;
+}
+
+function historyLimits(settings) {
+    return {
+        maxAgeDays: settings.historyMaxAgeDays,
+        maxEntries: settings.historyMaxEntries,
+        maxBytes: settings.historyMaxBytes,
+    };
+}
+
+// Extra request headers for the backend; the auth header is only sent when a value is set
+function backendHeaders(settings, extra = {}) {
+    const headers = { ...extra };
+    if (settings.backendAuthHeaderName && settings.backendAuthHeaderValue) {
+        headers[settings.backendAuthHeaderName] = settings.backendAuthHeaderValue;
+    }
+    return headers;
+}
+
+function openaiHeaders(settings, extra = {}) {
+    const headers = { ...extra };
+    if (settings.openaiApiKey) headers.Authorization = `Bearer ${settings.openaiApiKey}`;
+    return headers;
+}
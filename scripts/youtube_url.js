@@ -0,0 +1,56 @@
+// ===================== youtube_url.js ===================== //
+// Video ID extraction for every YouTube URL shape we handle. Loaded as a content script
+// (before content.js) and by the service worker via importScripts, so it stays DOM-free.
+//
+// Handles /watch?v=, youtu.be/<id>, /shorts/, /live/, /embed/, /v/, /e/ and attribution_link URLs on
+// youtube.com, its m. and music. subdomains and youtube-nocookie.com; anything else resolves to null.
+// The cases are checked in youtube_url_check.js (`node scripts/youtube_url_check.js`).
+
+const YOUTUBE_VIDEO_ID_REGEX = /^[A-Za-z0-9_-]{11}$/;
+
+// Hosts whose paths follow youtube.com conventions
+const YOUTUBE_HOSTS = new Set([
+    "youtube.com",
+    "www.youtube.com",
+    "m.youtube.com",
+    "music.youtube.com",
+    "youtube-nocookie.com",
+    "www.youtube-nocookie.com",
+]);
+
+// Path prefixes where the id is the next segment: /shorts/<id>, /live/<id>, ...
+const YOUTUBE_ID_PATH_PREFIXES = new Set(["shorts", "live", "embed", "v", "e"]);
+
+function isYouTubeVideoId(id) {
+    return typeof id === "string" && YOUTUBE_VIDEO_ID_REGEX.test(id);
+}
+
+// Video ID from any YouTube URL (string or URL), or null when it isn't a video page
+function parseYouTubeVideoId(input) {
+    let url;
+    try {
+        url = input instanceof URL ? input : new URL(String(input));
+    } catch {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+    const segments = url.pathname.split("/").filter(Boolean);
+    let candidate = null;
+
+    if (host === "youtu.be" || host === "www.youtu.be") {
+        candidate = segments[0];
+    } else if (YOUTUBE_HOSTS.has(host)) {
+        if (segments[0] === "watch") {
+            candidate = url.searchParams.get("v");
+        } else if (YOUTUBE_ID_PATH_PREFIXES.has(segments[0])) {
+            candidate = segments[1];
+        } else if (segments[0] === "attribution_link") {
+            // u= holds a relative watch URL
+            const inner = url.searchParams.get("u");
+            return inner ? parseYouTubeVideoId(new URL(inner, `${url.protocol}//${url.host}`)) : null;
+        }
+    }
+
+    return isYouTubeVideoId(candidate) ? candidate : null;
+}
@@ -0,0 +1,68 @@
+// ===================== youtube_url_check.js ===================== //
+// Table-driven check of parseYouTubeVideoId. Not part of the extension; run it with plain Node:
+//
+//   node scripts/youtube_url_check.js
+//
+// youtube_url.js is a classic script (no exports), so it is evaluated in a sandbox the same way
+// importScripts would. Exits non-zero when any row fails.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const sandbox = { URL };
+vm.createContext(sandbox);
+vm.runInContext(fs.readFileSync(path.join(__dirname, "youtube_url.js"), "utf8"), sandbox, { filename: "youtube_url.js" });
+const { parseYouTubeVideoId } = sandbox;
+
+const ID = "dQw4w9WgXcQ";
+
+// [input, expected id or null, note]
+const CASES = [
+    ["https://www.youtube.com/watch?v=dQw4w9WgXcQ", ID],
+    ["https://www.youtube.com/watch?feature=share&v=dQw4w9WgXcQ&t=42s", ID],
+    ["https://youtube.com/watch?v=dQw4w9WgXcQ", ID],
+    ["https://m.youtube.com/watch?v=dQw4w9WgXcQ", ID],
+    ["https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=RDdQw4w9WgXcQ", ID],
+    ["https://WWW.YouTube.com/watch?v=dQw4w9WgXcQ", ID, "host case"],
+    ["https://youtu.be/dQw4w9WgXcQ", ID],
+    ["https://youtu.be/dQw4w9WgXcQ?t=42", ID],
+    ["https://www.youtube.com/shorts/dQw4w9WgXcQ", ID],
+    ["https://m.youtube.com/shorts/dQw4w9WgXcQ?feature=share", ID],
+    ["https://www.youtube.com/live/dQw4w9WgXcQ?si=abc", ID],
+    ["https://www.youtube.com/embed/dQw4w9WgXcQ", ID],
+    ["https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ?start=10", ID],
+    ["https://www.youtube.com/v/dQw4w9WgXcQ", ID],
+    ["https://www.youtube.com/e/dQw4w9WgXcQ", ID],
+    ["https://www.youtube.com/attribution_link?u=%2Fwatch%3Fv%3DdQw4w9WgXcQ%26feature%3Dshare", ID],
+    [new URL("https://www.youtube.com/watch?v=dQw4w9WgXcQ"), ID, "URL object"],
+
+    ["https://www.youtube.com/", null, "home"],
+    ["https://www.youtube.com/@channel/videos", null, "channel page"],
+    ["https://www.youtube.com/results?search_query=x", null],
+    ["https://www.youtube.com/watch?v=tooShort", null],
+    ["https://www.youtube.com/watch", null, "no v parameter"],
+    ["https://www.youtube.com/playlist?list=PL123", null],
+    ["https://www.youtube.com/shorts/", null, "no id segment"],
+    ["https://www.youtube.com/attribution_link", null, "no u parameter"],
+    ["https://example.com/watch?v=dQw4w9WgXcQ", null, "not a YouTube host"],
+    ["https://youtube.com.example.com/watch?v=dQw4w9WgXcQ", null, "lookalike host"],
+    ["not a url", null],
+    ["", null],
+    [null, null],
+];
+
+let failures = 0;
+for (const [input, expected, note] of CASES) {
+    const actual = parseYouTubeVideoId(input);
+    const label = `${String(input) || '""'}${note ? ` (${note})` : ""}`;
+    if (actual === expected) {
+        console.log(`ok    ${label}`);
+    } else {
+        failures++;
+        console.log(`FAIL  ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+console.log(`\n${CASES.length - failures}/${CASES.length} passed`);
+process.exitCode = failures ? 1 : 0;